@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const TemplateSMD = require('../templateSMD');
+const fsPromises = fs.promises;
+
+const USAGE = `Usage: templatesmd <command> [options]
+
+Commands:
+  compile   Precompile the base and partials folders into one JavaScript module
+  build     Render templates against JSON data files into an output folder
+  lint      Check every template and partial for problems
+
+Options:
+  --base <folder>       Template folder (required)
+  --partials <folder>   Partials folder, relative to the base folder unless absolute
+  --locales <folder>    Message catalogs folder, relative to the base folder unless absolute
+  --locale <code>       build: locale to render the pages in
+  --out <path>          compile: module file (prints to stdout without it); build: output folder (required)
+  --data <folder>       build: folder of JSON data files (required)
+  --format <cjs|esm>    compile: module format (default: esm for .mjs files, cjs otherwise)
+  --runtime <module>    compile: module the generated code imports (default: templatesmd)
+  --schema <file>       lint: JSON file describing the bindings, to report unknown variables
+  --strict              Fail on template problems instead of printing warnings
+  --watch               Rebuild when a template, partial or data file changes
+  --help                Show this message
+`;
+
+/**
+ * Options that take a value. Everything else starting with `--` is a flag.
+ * @type {Set<string>}
+ */
+const VALUE_OPTIONS = new Set(['base', 'partials', 'locales', 'locale', 'out', 'data', 'format', 'runtime', 'schema']);
+
+/**
+ * How long to wait for more file changes before rebuilding, in milliseconds.
+ * @type {number}
+ */
+const WATCH_DELAY = 50;
+
+/**
+ * Parses the command line into a command and its options.
+ * Values can be given as `--out file` or `--out=file`.
+ *
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {{command: (string|undefined), options: Object}} The parsed command line.
+ * @throws {Error} For unknown options and options missing their value.
+ */
+function parseArgs(args) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (VALUE_OPTIONS.has(name)) {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined || value === '') {
+        throw new Error(`Option --${name} needs a value.`);
+      }
+      options[name] = value;
+    } else if (['strict', 'watch', 'help'].includes(name) && inlineValue === undefined) {
+      options[name] = true;
+    } else {
+      throw new Error(`Unknown option --${name}.`);
+    }
+  }
+
+  return { command: positional[0], options };
+}
+
+/**
+ * Creates the engine for a command. Outside strict mode, template problems are printed as warnings.
+ *
+ * @param {Object} options - The parsed options.
+ * @returns {TemplateSMD} The engine.
+ * @throws {Error} If `--base` is missing.
+ */
+function createEngine(options) {
+  if (!options.base) {
+    throw new Error('Option --base is required.');
+  }
+
+  return new TemplateSMD({
+    baseFolder: path.resolve(options.base),
+    partialsFolder: options.partials || '',
+    localesFolder: options.locales || '',
+    locale: options.locale,
+    strict: options.strict === true,
+    onWarning: error => console.warn(`Warning: ${error.message}`)
+  });
+}
+
+/**
+ * Generates the source of a module that loads a precompiled bundle and exports its render functions.
+ *
+ * @param {Object} bundle - The bundle from `precompileFolder`.
+ * @param {'cjs'|'esm'} format - The module format.
+ * @param {string} runtime - The module specifier of the engine.
+ * @returns {string} The module source.
+ */
+function generateModule(bundle, format, runtime) {
+  const header = '// Generated by `templatesmd compile`. Do not edit.\n';
+  const body = [
+    'const engine = new TemplateSMD();',
+    `const templates = engine.loadPrecompiled(${JSON.stringify(bundle)});`,
+    ''
+  ].join('\n');
+
+  if (format === 'esm') {
+    return `${header}import TemplateSMD from ${JSON.stringify(runtime)};\n\n${body}\nexport { engine, templates };\nexport default templates;\n`;
+  }
+  return `${header}'use strict';\n\nconst TemplateSMD = require(${JSON.stringify(runtime)});\n\n${body}\nmodule.exports = { engine, templates };\n`;
+}
+
+/**
+ * Runs the `compile` command once.
+ *
+ * @param {Object} options - The parsed options.
+ * @returns {Promise<void>}
+ */
+async function compile(options) {
+  const format = options.format || (options.out && options.out.endsWith('.mjs') ? 'esm' : 'cjs');
+  if (format !== 'cjs' && format !== 'esm') {
+    throw new Error('Option --format must be "cjs" or "esm".');
+  }
+
+  const bundle = await createEngine(options).precompileFolder();
+  const source = generateModule(bundle, format, options.runtime || 'templatesmd');
+
+  if (!options.out) {
+    process.stdout.write(source);
+    return;
+  }
+
+  const outPath = path.resolve(options.out);
+  await fsPromises.mkdir(path.dirname(outPath), { recursive: true });
+  await fsPromises.writeFile(outPath, source);
+  console.log(`Compiled ${Object.keys(bundle.templates).length} templates and ${Object.keys(bundle.partials).length} partials into ${options.out}`);
+}
+
+/**
+ * Lists the files with one of some extensions under a folder, as paths relative to it.
+ *
+ * @param {string} root - The absolute folder path.
+ * @param {string|Array<string>} extensions - The extension, e.g. `.json`, or a list of them.
+ * @returns {Promise<Array<string>>} The relative paths.
+ */
+async function listFiles(root, extensions) {
+  const matches = name => [].concat(extensions).some(extension => name.endsWith(extension));
+  const files = [];
+
+  const walk = async directory => {
+    const entries = await fsPromises.readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile() && matches(entry.name)) {
+        files.push(path.relative(root, entryPath));
+      }
+    }
+  };
+
+  await walk(root);
+  return files;
+}
+
+/**
+ * Renders one page: `<data>/blog/post.json` renders `<base>/blog/post.html` into `<out>/blog/post.html`.
+ * A data file that has been deleted removes its page from the output folder.
+ *
+ * @param {TemplateSMD} engine - The engine.
+ * @param {Object} options - The parsed options.
+ * @param {string} dataFile - The data file path, relative to the data folder.
+ * @returns {Promise<boolean>} Whether the page was built.
+ */
+async function buildPage(engine, options, dataFile) {
+  const page = dataFile.slice(0, -'.json'.length) + '.html';
+  const outPath = path.join(path.resolve(options.out), page);
+
+  let bindings;
+  try {
+    bindings = JSON.parse(await fsPromises.readFile(path.join(path.resolve(options.data), dataFile), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      await fsPromises.rm(outPath, { force: true });
+      return false;
+    }
+    console.error(`Failed to read ${dataFile}: ${error.message}`);
+    return false;
+  }
+
+  try {
+    const html = await engine.renderTemplateFile(page, bindings);
+    await fsPromises.mkdir(path.dirname(outPath), { recursive: true });
+    await fsPromises.writeFile(outPath, html);
+    return true;
+  } catch (error) {
+    console.error(`Failed to build ${page}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Runs the `build` command for some or all pages.
+ *
+ * @param {TemplateSMD} engine - The engine. Reusing it across rebuilds keeps unchanged templates compiled.
+ * @param {Object} options - The parsed options.
+ * @param {Array<string>|null} [dataFiles=null] - The data files to build, or `null` for all of them.
+ * @returns {Promise<boolean>} Whether every page was built.
+ */
+async function build(engine, options, dataFiles = null) {
+  const files = dataFiles || await listFiles(path.resolve(options.data), '.json');
+  const results = [];
+  for (const file of files) {
+    results.push(await buildPage(engine, options, file));
+  }
+
+  const built = results.filter(Boolean).length;
+  console.log(`Built ${built} of ${files.length} pages into ${options.out}`);
+  return built === files.length;
+}
+
+/**
+ * Runs the `lint` command: analyzes every template in the base folder and the partials folder
+ * and prints the problems found. Partials are rendered in the scope of whatever includes them,
+ * so only templates are checked against the schema.
+ *
+ * @param {Object} options - The parsed options.
+ * @param {string|null} partialsRoot - The absolute partials folder path.
+ * @returns {Promise<boolean>} Whether no problems were found.
+ */
+async function lint(options, partialsRoot) {
+  const engine = createEngine(options);
+  const baseRoot = path.resolve(options.base);
+  const schema = options.schema
+    ? JSON.parse(await fsPromises.readFile(path.resolve(options.schema), 'utf8'))
+    : undefined;
+
+  const isPartial = file => partialsRoot !== null && file.startsWith(partialsRoot + path.sep);
+  const files = (await listFiles(baseRoot, engine.extensions)).map(file => path.join(baseRoot, file));
+  if (partialsRoot && !partialsRoot.startsWith(baseRoot + path.sep)) {
+    files.push(...(await listFiles(partialsRoot, engine.extensions)).map(file => path.join(partialsRoot, file)));
+  }
+
+  let count = 0;
+  for (const file of files) {
+    const { problems } = await engine.analyze(file, { schema: isPartial(file) ? undefined : schema });
+    for (const problem of problems) {
+      console.log(`${problem.code}: ${problem.message}\n${problem.frame}\n`);
+    }
+    count += problems.length;
+  }
+
+  console.log(`${count} ${count === 1 ? 'problem' : 'problems'} in ${files.length} templates`);
+  return count === 0;
+}
+
+/**
+ * Watches folders recursively and calls `onChange` with the changed files, batched.
+ * Changes that arrive while `onChange` runs are collected for the next call. If a folder cannot be
+ * watched any longer, e.g. because it was deleted, watching stops and the process exits with code 1.
+ *
+ * @param {Array<string>} folders - Absolute folder paths.
+ * @param {function(Array<string>): Promise<void>} onChange - Receives absolute paths of changed files.
+ */
+function watch(folders, onChange) {
+  let changed = new Set();
+  let timer = null;
+  let running = false;
+
+  const flush = async () => {
+    timer = null;
+    if (running) {
+      return;
+    }
+    running = true;
+    const files = Array.from(changed);
+    changed = new Set();
+    try {
+      await onChange(files);
+    } catch (error) {
+      console.error(error.message);
+    }
+    running = false;
+    if (changed.size > 0) {
+      timer = setTimeout(flush, WATCH_DELAY);
+    }
+  };
+
+  const closers = [];
+  const stop = error => {
+    console.error(`Stopped watching: ${error.message}`);
+    clearTimeout(timer);
+    for (const close of closers) {
+      close();
+    }
+    process.exitCode = 1;
+  };
+
+  for (const folder of folders) {
+    closers.push(watchFolder(folder, file => {
+      changed.add(file);
+      if (!timer) {
+        timer = setTimeout(flush, WATCH_DELAY);
+      }
+    }, stop));
+  }
+
+  console.log(`Watching ${folders.join(', ')}`);
+}
+
+/**
+ * Watches a folder and its subfolders. Where `fs.watch` cannot watch recursively, such as on Linux
+ * before Node.js 20, every folder gets a watcher of its own and folders created later are watched
+ * as they appear.
+ *
+ * @param {string} folder - The absolute folder path.
+ * @param {function(string): void} onChange - Receives the absolute path of each changed file or folder.
+ * @param {function(Error): void} onError - Called when a watcher fails.
+ * @returns {function(): void} Stops watching.
+ */
+function watchFolder(folder, onChange, onError) {
+  const watched = new Map();
+  const add = (dir, recursive) => fs.watch(dir, { recursive }, (event, filename) => {
+    const changed = filename ? path.join(dir, filename.toString()) : dir;
+    if (!recursive && event === 'rename') {
+      try {
+        if (fs.statSync(changed).isDirectory()) {
+          addTree(changed);
+        }
+      } catch {
+        // Removed: its watchers stop, so a folder created again under the name is watched anew
+        for (const [other, watcher] of watched) {
+          if (other === changed || other.startsWith(changed + path.sep)) {
+            watcher.close();
+            watched.delete(other);
+          }
+        }
+      }
+    }
+    onChange(changed);
+  }).on('error', onError);
+  const addTree = dir => {
+    if (watched.has(dir)) {
+      return;
+    }
+    watched.set(dir, add(dir, false));
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        addTree(path.join(dir, entry.name));
+      }
+    }
+  };
+
+  try {
+    watched.set(folder, add(folder, true));
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
+    }
+    addTree(folder);
+  }
+  return () => {
+    for (const watcher of watched.values()) {
+      watcher.close();
+    }
+    watched.clear();
+  };
+}
+
+/**
+ * Removes folders that lie inside another folder of the list, so each change is seen once.
+ *
+ * @param {Array<string>} folders - Absolute folder paths.
+ * @returns {Array<string>} The outermost folders.
+ */
+function outermostFolders(folders) {
+  const unique = Array.from(new Set(folders));
+  return unique.filter(folder => !unique.some(other => other !== folder && folder.startsWith(other + path.sep)));
+}
+
+/**
+ * Runs the command line.
+ *
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {Promise<void>}
+ */
+async function main(args) {
+  const { command, options } = parseArgs(args);
+
+  if (options.help || !command) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const baseRoot = options.base ? path.resolve(options.base) : null;
+  const partialsRoot = options.partials ? path.resolve(baseRoot || '', options.partials) : null;
+  const localesRoot = options.locales ? path.resolve(baseRoot || '', options.locales) : null;
+
+  if (command === 'compile') {
+    if (options.watch && !options.out) {
+      throw new Error('Option --out is required with --watch.');
+    }
+    await compile(options);
+    if (options.watch) {
+      watch(outermostFolders([baseRoot, partialsRoot, localesRoot].filter(Boolean)), () => compile(options));
+    }
+    return;
+  }
+
+  if (command === 'build') {
+    if (!options.data || !options.out) {
+      throw new Error('Options --data and --out are required.');
+    }
+    const engine = createEngine(options);
+    const dataRoot = path.resolve(options.data);
+    const succeeded = await build(engine, options);
+    if (!options.watch) {
+      process.exitCode = succeeded ? 0 : 1;
+      return;
+    }
+
+    const isTemplate = file => engine.extensions.some(extension => file.endsWith(extension));
+    watch(outermostFolders([baseRoot, partialsRoot, localesRoot, dataRoot].filter(Boolean)), async files => {
+      const dataFiles = new Set();
+      for (const file of files) {
+        if (localesRoot && file.startsWith(localesRoot + path.sep)) {
+          // Catalogs are read once per engine, so forget them before rebuilding.
+          engine.clearCache();
+          return build(engine, options);
+        }
+        if (file.startsWith(dataRoot + path.sep)) {
+          if (file.endsWith('.json')) {
+            dataFiles.add(path.relative(dataRoot, file));
+          }
+        } else if (isTemplate(file)) {
+          // Any template, even one with a page of its own, may be extended or included by other pages.
+          return build(engine, options);
+        }
+      }
+      // Nothing to rebuild for other files, such as stylesheets next to the templates.
+      if (dataFiles.size === 0) {
+        return;
+      }
+      return build(engine, options, Array.from(dataFiles));
+    });
+    return;
+  }
+
+  if (command === 'lint') {
+    process.exitCode = await lint(options, partialsRoot) ? 0 : 1;
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -2,568 +2,6126 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { AsyncLocalStorage } = require('async_hooks');
 const fsPromises = fs.promises;
 
 /**
- * TemplateSMD is a class for rendering HTML templates with support for partials, 
- * conditionals, loops, and placeholders. It provides methods to manage template 
- * caching, register partials, and render templates from strings or files.
+ * Block helpers understood by the parser.
+ * @type {Set<string>}
+ */
+const BLOCK_TYPES = new Set(['if', 'unless', 'each', 'with', 'let', 'extends', 'block', 'fragment', 'slot', 'cache']);
+
+/**
+ * Blocks that accept an `{{else}}` branch.
+ * @type {Set<string>}
+ */
+const ELSE_BLOCKS = new Set(['if', 'unless', 'each', 'with']);
+
+/**
+ * Operators recognised inside expressions, longest first so `||` is not read as two tokens.
+ * @type {Array<string>}
+ */
+const EXPRESSION_OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '=', '(', ')', '|', ':', ','];
+
+/**
+ * Binary operators by precedence level, lowest first. Each level is parsed left-associatively.
+ * @type {Array<Array<string>>}
+ */
+const BINARY_PRECEDENCE = [['||'], ['&&'], ['==', '!=', '===', '!=='], ['<', '>', '<=', '>=']];
+
+/**
+ * Evaluators for binary operators. `&&` and `||` are handled separately so they can short-circuit.
+ * `==` and `!=` compare strictly, like their `===` and `!==` spellings.
+ * @type {Object<string, function(*, *): boolean>}
+ */
+const BINARY_OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '===': (a, b) => a === b,
+  '!==': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b
+};
+
+/**
+ * Keywords that evaluate to literal values inside expressions.
+ * @type {Object<string, *>}
+ */
+const EXPRESSION_LITERALS = { true: true, false: false, null: null, undefined: undefined };
+
+/**
+ * Date styles accepted by the `date` filter, passed to `Intl.DateTimeFormat` as `dateStyle`.
+ * @type {Set<string>}
+ */
+const DATE_STYLES = new Set(['full', 'long', 'medium', 'short']);
+
+/**
+ * Attributes whose values are URLs, or a list of them for `srcset`. Output at the start of a URL is
+ * checked for a safe scheme; output in its query or fragment is percent-encoded as a URL component.
+ * @type {Set<string>}
+ */
+const URL_ATTRIBUTES = new Set([
+  'href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'manifest',
+  'longdesc', 'usemap', 'codebase', 'data', 'ping', 'xlink:href', 'srcset'
+]);
+
+/**
+ * URL schemes allowed at the start of a URL attribute. Relative URLs have no scheme and are always allowed.
+ * @type {Set<string>}
+ */
+const SAFE_URL_SCHEMES = new Set(['http', 'https', 'mailto', 'tel', 'ftp']);
+
+/**
+ * Replaces a URL whose scheme is not in `SAFE_URL_SCHEMES`, such as `javascript:`.
+ * @type {string}
+ */
+const UNSAFE_URL_REPLACEMENT = 'about:invalid#unsafe-url';
+
+/**
+ * Format version of the bundles produced by `precompileFolder`. Bundles embed parsed templates,
+ * so a bundle only loads into an engine that parses templates the same way.
+ * @type {number}
+ */
+const PRECOMPILED_VERSION = 1;
+
+/**
+ * The default tag delimiters. Triple tags (`{{{ }}}`) and raw blocks (`{{{{raw}}}}`) repeat
+ * the last character of the opening delimiter and the first character of the closing one.
+ * @type {Array<string>}
+ */
+const DEFAULT_DELIMITERS = ['{{', '}}'];
+
+/**
+ * The default template file extensions.
+ * @type {Array<string>}
+ */
+const DEFAULT_EXTENSIONS = ['.html'];
+
+/**
+ * How many template name resolutions an engine remembers while `checkMtime` is off; the least
+ * recently used are forgotten beyond it.
+ * @type {number}
+ */
+const MAX_RESOLUTIONS = 1000;
+
+/**
+ * The events an engine emits to listeners registered with `on()` or the `hooks` option.
+ * @type {Set<string>}
+ */
+const HOOK_EVENTS = new Set(['beforeRender', 'afterRender', 'partialRendered', 'missingBinding', 'cacheHit', 'cacheMiss']);
+
+/**
+ * The script tracking state at the start of a script or an `on*` handler, see `#advanceHtmlState`.
+ * @type {{jsQuote: null, jsLast: null, jsWord: string}}
+ */
+const JS_START = Object.freeze({ jsQuote: null, jsLast: null, jsWord: '' });
+
+/**
+ * Keywords after which a `/` in a script starts a regular expression rather than a division.
+ * @type {Set<string>}
+ */
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+/**
+ * Locale codes that may name a catalog file, e.g. `en`, `pt-BR` or `zh_Hant_TW`.
+ * Anything else, such as a path, is never looked up on disk.
+ * @type {RegExp}
+ */
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}(?:[-_][A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Marks a string as safe HTML so escaped output inserts it unchanged, in any context.
+ * Create one with `TemplateSMD.safe(html)`. Filters registered with `{ safe: true }`
+ * wrap their results in this type.
+ */
+class SafeString {
+  /**
+   * @param {*} value - The trusted HTML.
+   */
+  constructor(value) {
+    this.value = value == null ? '' : String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Error raised for template problems. In strict mode every problem is thrown as a `TemplateError`;
+ * otherwise problems are passed to the `onWarning` hook and rendering carries on.
  *
- * Features:
- * - Register and use partial templates.
- * - Render templates with bindings for placeholders, conditionals, and loops.
- * - Cache templates for improved performance.
- * - Normalize and resolve file paths for templates.
- * - Escape HTML to prevent XSS attacks.
+ * @property {string} code - A stable identifier such as `UNDEFINED_VARIABLE` or `MISSING_PARTIAL`.
+ * @property {string|null} template - The template file path, or `null` for string templates.
+ * @property {number|null} line - The 1-based line of the offending tag.
+ * @property {number|null} column - The 1-based column of the offending tag.
+ * @property {string} frame - The surrounding source lines with the position marked.
+ * @property {*} [cause] - The underlying error, if there was one.
+ */
+class TemplateError extends Error {
+  /**
+   * @param {string} message - The error message, without location.
+   * @param {Object} [details={}] - Where and why the error happened.
+   * @param {string} [details.code='TEMPLATE_ERROR'] - The error code.
+   * @param {string|null} [details.template=null] - The template file path.
+   * @param {number|null} [details.line=null] - The 1-based line.
+   * @param {number|null} [details.column=null] - The 1-based column.
+   * @param {string} [details.frame=''] - The code frame.
+   * @param {*} [details.cause] - The underlying error.
+   */
+  constructor(message, details = {}) {
+    const { code = 'TEMPLATE_ERROR', template = null, line = null, column = null, frame = '', cause } = details;
+
+    let location = template || '';
+    if (line !== null) {
+      location = template ? `${template}:${line}:${column}` : `line ${line}, column ${column}`;
+    }
+
+    super(location ? `${message} (${location})` : message);
+    this.name = 'TemplateError';
+    this.code = code;
+    this.template = template;
+    this.line = line;
+    this.column = column;
+    this.frame = frame;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * The template cache: entries keyed by template id (the absolute path for files), bounded by a number of entries and by
+ * the total size of the template sources. When either bound is exceeded, the least recently used
+ * entries are evicted. It keeps the `get`, `set`, `has`, `delete` and `clear` methods of a `Map`.
+ */
+class TemplateCache {
+  /**
+   * The entries in least recently used order.
+   * @type {Map<string, Object>}
+   */
+  #entries = new Map();
+
+  /**
+   * @param {Object} [limits={}] - The cache bounds.
+   * @param {number} [limits.maxEntries=Infinity] - The maximum number of entries.
+   * @param {number} [limits.maxSize=Infinity] - The maximum total size of the cached sources, in bytes.
+   */
+  constructor({ maxEntries = Infinity, maxSize = Infinity } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxSize = maxSize;
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * The number of entries.
+   * @type {number}
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * Returns an entry and marks it as the most recently used.
+   *
+   * @param {string} key - The absolute file path.
+   * @returns {Object|undefined} The entry.
+   */
+  get(key) {
+    const entry = this.#entries.get(key);
+    if (entry !== undefined) {
+      this.#entries.delete(key);
+      this.#entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Stores an entry as the most recently used, then evicts entries until the cache is within its bounds.
+   * An entry larger than `maxSize` on its own is evicted straight away.
+   *
+   * @param {string} key - The absolute file path.
+   * @param {{content: string}} entry - The entry.
+   * @returns {TemplateCache} The cache.
+   */
+  set(key, entry) {
+    this.delete(key);
+    entry.bytes = Buffer.byteLength(entry.content);
+    this.#entries.set(key, entry);
+    this.bytes += entry.bytes;
+
+    for (const [oldest] of this.#entries) {
+      if (this.#entries.size <= this.maxEntries && this.bytes <= this.maxSize) {
+        break;
+      }
+      this.delete(oldest);
+      this.evictions++;
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} key - The absolute file path.
+   * @returns {boolean} Whether the cache holds an entry for the path.
+   */
+  has(key) {
+    return this.#entries.has(key);
+  }
+
+  /**
+   * @param {string} key - The absolute file path.
+   * @returns {boolean} Whether there was an entry to remove.
+   */
+  delete(key) {
+    const entry = this.#entries.get(key);
+    if (entry === undefined) {
+      return false;
+    }
+    this.#entries.delete(key);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  /**
+   * Removes every entry.
+   */
+  clear() {
+    this.#entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * @returns {Iterator<string>} The cached paths, least recently used first.
+   */
+  keys() {
+    return this.#entries.keys();
+  }
+}
+
+/**
+ * Loads templates from folders on disk. Template names are paths relative to `root`, partial names
+ * paths relative to `partials` without the extension: `{{> forms/input }}` is `<partials>/forms/input.html`.
  *
- * Example Usage:
- * ```javascript
- * const templateHandler = new TemplateSMD({
- * baseFolder: './templates',
- * partialsFolder: './partials',
- * enableCache: true
- * });
+ * A name that does not end with one of the `extensions` is tried with each of them in turn, then as is,
+ * so `emails/welcome` finds `emails/welcome.html`. Template ids are absolute file paths and their
+ * versions the files' mtimes.
+ */
+class FileSystemLoader {
+  /**
+   * The mtimes `resolve` read, kept until `getVersion` asks for them, so resolving and checking
+   * a file's version stats it once.
+   * @type {Map<string, number>}
+   */
+  #resolvedVersions = new Map();
+
+  /**
+   * @param {Object} [options={}] - The loader options.
+   * @param {string} [options.root=process.cwd()] - The template folder.
+   * @param {string|null} [options.partials=null] - The partials folder, relative to `root` or absolute.
+   * Without it, the loader finds no partials.
+   * @param {Array<string>} [options.extensions=['.html']] - The template file extensions.
+   * @param {boolean} [options.secure=false] - Whether files must lie inside `root` or `partials`,
+   * after resolving symbolic links. The engine also asks for this in secure mode.
+   */
+  constructor({ root = process.cwd(), partials = null, extensions = DEFAULT_EXTENSIONS, secure = false } = {}) {
+    this.root = path.resolve(root);
+    this.partials = partials ? path.resolve(this.root, partials) : null;
+    this.extensions = [...extensions];
+    this.secure = secure;
+  }
+
+  /**
+   * Finds the file for a template name.
+   *
+   * @param {string} name - The template name, or an absolute path.
+   * @param {Object} [context={}] - What the name is for.
+   * @param {string} [context.type='template'] - `template`, `layout` or `partial`.
+   * @param {boolean} [context.secure=false] - Whether the file must lie inside the loader's folders.
+   * @returns {Promise<string|null>} The absolute file path, or `null` if there is no such file.
+   * @throws {TemplateError} With code `PATH_OUTSIDE_ROOT`, if the file is outside the folders in secure mode.
+   */
+  async resolve(name, { type = 'template', secure = false } = {}) {
+    const base = type === 'partial' ? this.partials : this.root;
+    if (!base) {
+      return null;
+    }
+
+    const target = path.resolve(base, name);
+    const confined = this.secure || secure;
+    if (confined && !this.#isInside(target, this.getFolders())) {
+      throw new TemplateError('Template path is outside the template folders.', { code: 'PATH_OUTSIDE_ROOT', template: target });
+    }
+
+    const candidates = this.extensions.some(extension => name.endsWith(extension))
+      ? [target]
+      : [...this.extensions.map(extension => target + extension), target];
+
+    for (const candidate of candidates) {
+      let stats;
+      try {
+        stats = await fsPromises.stat(candidate);
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+          continue;
+        }
+        throw error;
+      }
+      if (!stats.isFile()) {
+        continue;
+      }
+
+      if (confined) {
+        const realPath = await fsPromises.realpath(candidate);
+        const realFolders = await Promise.all(this.getFolders().map(folder => fsPromises.realpath(folder).catch(() => folder)));
+        if (!this.#isInside(realPath, realFolders)) {
+          throw new TemplateError('Template path leads outside the template folders through a symbolic link.', {
+            code: 'PATH_OUTSIDE_ROOT',
+            template: candidate
+          });
+        }
+      }
+      this.#resolvedVersions.set(candidate, stats.mtimeMs);
+      return candidate;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} id - The absolute file path.
+   * @returns {Promise<string>} The file's content.
+   */
+  load(id) {
+    return fsPromises.readFile(id, 'utf8');
+  }
+
+  /**
+   * @param {string} id - The absolute file path.
+   * @returns {Promise<number>} The file's mtime, as read by the `resolve` call that returned the id if
+   * this is the first time it is asked for since.
+   */
+  async getVersion(id) {
+    const resolved = this.#resolvedVersions.get(id);
+    if (resolved !== undefined) {
+      this.#resolvedVersions.delete(id);
+      return resolved;
+    }
+    return (await fsPromises.stat(id)).mtimeMs;
+  }
+
+  /**
+   * Lists the templates or partials in the loader's folders, including subdirectories. The partials
+   * folder is left out of the templates when it lies inside the template folder.
+   *
+   * @param {string} [type='template'] - `template` or `partial`.
+   * @returns {Promise<Array<string>>} Template names with their extension, or partial names without it.
+   */
+  async list(type = 'template') {
+    const root = type === 'partial' ? this.partials : this.root;
+    if (!root) {
+      return [];
+    }
+
+    const names = [];
+    const walk = async directory => {
+      for (const entry of await fsPromises.readdir(directory, { withFileTypes: true })) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          if (type === 'partial' || entryPath !== this.partials) {
+            await walk(entryPath);
+          }
+          continue;
+        }
+
+        const extension = this.extensions.find(candidate => entry.name.endsWith(candidate));
+        if (entry.isFile() && extension) {
+          const name = path.relative(root, entryPath).split(path.sep).join('/');
+          names.push(type === 'partial' ? name.slice(0, -extension.length) : name);
+        }
+      }
+    };
+
+    await walk(root);
+    return names;
+  }
+
+  /**
+   * @returns {Array<string>} The folders the loader reads from, for `watch()`.
+   */
+  getFolders() {
+    return this.partials ? [this.root, this.partials] : [this.root];
+  }
+
+  /**
+   * Checks whether a path is one of a list of folders or lies inside one.
+   *
+   * @param {string} target - The absolute path.
+   * @param {Array<string>} folders - The absolute folder paths.
+   * @returns {boolean} Whether `target` is inside one of the folders.
+   * @private
+   */
+  #isInside(target, folders) {
+    return folders.some(folder => target === folder || target.startsWith(folder.endsWith(path.sep) ? folder : folder + path.sep));
+  }
+}
+
+/**
+ * Loads templates from an object of sources, e.g. for tests or templates kept in a database and
+ * fetched up front. Names are the object's keys; partials are the keys under the `partials` prefix,
+ * so `{{> card }}` is the key `partials/card.html`. A name without one of the `extensions` is tried
+ * with each of them, then as is. Templates can be changed later with `set` and `delete`.
+ */
+class MemoryLoader {
+  /**
+   * The sources, keyed by name.
+   * @type {Map<string, string>}
+   */
+  #templates = new Map();
+
+  /**
+   * How often each name was set, so a changed source is compiled again.
+   * @type {Map<string, number>}
+   */
+  #versions = new Map();
+
+  /**
+   * @param {Object<string, string>} [templates={}] - The template sources, keyed by name.
+   * @param {Object} [options={}] - The loader options.
+   * @param {string} [options.partials='partials'] - The prefix of the partial names, `''` for none.
+   * @param {Array<string>} [options.extensions=['.html']] - The extensions tried for names without one.
+   */
+  constructor(templates = {}, { partials = 'partials', extensions = DEFAULT_EXTENSIONS } = {}) {
+    this.partials = partials;
+    this.extensions = [...extensions];
+    for (const [name, source] of Object.entries(templates)) {
+      this.set(name, source);
+    }
+  }
+
+  /**
+   * Adds or replaces a template.
+   *
+   * @param {string} name - The template name.
+   * @param {string} source - The template source.
+   * @throws {Error} Throws an error if the source is not a string.
+   */
+  set(name, source) {
+    if (typeof source !== 'string') {
+      throw new Error(`Template "${name}" must be a string.`);
+    }
+    this.#templates.set(name, source);
+    this.#versions.set(name, (this.#versions.get(name) || 0) + 1);
+  }
+
+  /**
+   * Removes a template.
+   *
+   * @param {string} name - The template name.
+   * @returns {boolean} Whether there was a template to remove.
+   */
+  delete(name) {
+    return this.#templates.delete(name);
+  }
+
+  /**
+   * @param {string} name - The template or partial name.
+   * @param {Object} [context={}] - What the name is for.
+   * @param {string} [context.type='template'] - `template`, `layout` or `partial`.
+   * @returns {string|null} The key of the template, or `null` if there is none.
+   */
+  resolve(name, { type = 'template' } = {}) {
+    const key = type === 'partial' && this.partials ? `${this.partials}/${name}` : name;
+    const candidates = this.extensions.some(extension => key.endsWith(extension))
+      ? [key]
+      : [...this.extensions.map(extension => key + extension), key];
+    return candidates.find(candidate => this.#templates.has(candidate)) || null;
+  }
+
+  /**
+   * @param {string} id - The template key.
+   * @returns {string} The template source.
+   */
+  load(id) {
+    return this.#templates.get(id);
+  }
+
+  /**
+   * @param {string} id - The template key.
+   * @returns {number} How often the template was set.
+   */
+  getVersion(id) {
+    return this.#versions.get(id);
+  }
+
+  /**
+   * @param {string} [type='template'] - `template` or `partial`.
+   * @returns {Array<string>} Template names, or partial names without the prefix and extension.
+   */
+  list(type = 'template') {
+    const prefix = this.partials ? `${this.partials}/` : '';
+    const names = [];
+    for (const key of this.#templates.keys()) {
+      if (type !== 'partial') {
+        if (!prefix || !key.startsWith(prefix)) {
+          names.push(key);
+        }
+      } else if (key.startsWith(prefix)) {
+        const extension = this.extensions.find(candidate => key.endsWith(candidate)) || '';
+        names.push(key.slice(prefix.length, key.length - extension.length));
+      }
+    }
+    return names;
+  }
+}
+
+/**
+ * Searches several loaders in order and uses the first that has the template, e.g. a theme's
+ * folder over the default templates:
  *
- * templateHandler.registerPartial('header', '<header>{{ title }}</header>');
- * const rendered = templateHandler.render('<div>{{> header }}</div>', { title: 'Hello World' });
- * console.log(rendered); // Outputs: <div><header>Hello World</header></div>
+ * ```javascript
+ * new MultiLoader([
+ *   new FileSystemLoader({ root: 'themes/dark', partials: 'partials' }),
+ *   new FileSystemLoader({ root: 'views', partials: 'partials' })
+ * ]);
  * ```
  *
- * @class
- * @param {Object} [options={}] - Configuration options for the template handler.
- * @param {string} [options.baseFolder=''] - The base folder path for templates.
- * @param {string} [options.partialsFolder=''] - The folder path for partial templates.
- * @param {boolean} [options.enableCache=true] - Whether to enable caching of templates.
+ * This applies to every template, layout and partial separately, so a theme only needs to contain
+ * the files it changes.
+ *
+ * The loader each id came from is remembered for the `maxEntries` most recently resolved ids. An older
+ * id is looked up again: it belongs to the first loader that resolves it to itself.
  */
-class TemplateSMD {
+class MultiLoader {
+  /**
+   * The loader each resolved id came from, least recently resolved first.
+   * @type {Map<string, Object>}
+   */
+  #owners = new Map();
+
+  /**
+   * @param {Array<Object>} loaders - The loaders, in search order.
+   * @param {Object} [options={}] - The loader options.
+   * @param {number} [options.maxEntries=1000] - How many ids to remember the loader of.
+   * @throws {Error} Throws an error if `loaders` is not an array of loaders.
+   */
+  constructor(loaders, { maxEntries = 1000 } = {}) {
+    if (!Array.isArray(loaders) || !loaders.every(loader => loader && typeof loader.resolve === 'function' && typeof loader.load === 'function')) {
+      throw new Error('MultiLoader expects an array of loaders with resolve and load methods.');
+    }
+    this.loaders = [...loaders];
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * @param {string} name - The template or partial name.
+   * @param {Object} [context={}] - What the name is for, passed on to each loader.
+   * @returns {Promise<string|null>} The id from the first loader that has the template, or `null`.
+   */
+  async resolve(name, context = {}) {
+    for (const loader of this.loaders) {
+      const id = await loader.resolve(name, context);
+      if (id != null) {
+        this.#remember(id, loader);
+        return id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} id - An id returned by `resolve`.
+   * @returns {Promise<string>} The template source.
+   */
+  async load(id) {
+    return (await this.#owner(id)).load(id);
+  }
+
+  /**
+   * @param {string} id - An id returned by `resolve`.
+   * @returns {Promise<*>} The template's version, or `undefined` if its loader has no versions.
+   */
+  async getVersion(id) {
+    const owner = await this.#owner(id);
+    return typeof owner.getVersion === 'function' ? owner.getVersion(id) : undefined;
+  }
+
+  /**
+   * @param {string} [type='template'] - `template` or `partial`.
+   * @returns {Promise<Array<string>>} The names from every loader that can list them, without duplicates.
+   */
+  async list(type = 'template') {
+    const names = new Set();
+    for (const loader of this.loaders) {
+      if (typeof loader.list === 'function') {
+        for (const name of await loader.list(type)) {
+          names.add(name);
+        }
+      }
+    }
+    return Array.from(names);
+  }
+
+  /**
+   * @returns {Array<string>} The folders of every loader that reads from disk, for `watch()`.
+   */
+  getFolders() {
+    return this.loaders.flatMap(loader => (typeof loader.getFolders === 'function' ? loader.getFolders() : []));
+  }
+
+  /**
+   * Remembers the loader an id came from, forgetting the least recently resolved ids beyond `maxEntries`.
+   *
+   * @param {string} id - The resolved id.
+   * @param {Object} loader - The loader that resolved it.
+   * @private
+   */
+  #remember(id, loader) {
+    this.#owners.delete(id);
+    this.#owners.set(id, loader);
+    for (const oldest of this.#owners.keys()) {
+      if (this.#owners.size <= this.maxEntries) {
+        break;
+      }
+      this.#owners.delete(oldest);
+    }
+  }
+
+  /**
+   * @param {string} id - An id returned by `resolve`.
+   * @returns {Promise<Object>} The loader the id came from.
+   * @throws {Error} Throws an error if none of the loaders has the id.
+   * @private
+   */
+  async #owner(id) {
+    if (this.#owners.has(id)) {
+      return this.#owners.get(id);
+    }
+    for (const loader of this.loaders) {
+      // A loader confined to its folders refuses the ids of the others.
+      const resolved = await Promise.resolve()
+        .then(() => loader.resolve(id, { type: 'template' }))
+        .catch(() => null);
+      if (resolved === id) {
+        this.#remember(id, loader);
+        return loader;
+      }
+    }
+    throw new Error(`Template "${id}" was not resolved by this loader.`);
+  }
+}
+
+/**
+ * The default store for `{{#cache}}` blocks: rendered HTML kept in memory, in this process only.
+ * Entries expire after their `ttl`; when `maxEntries` is exceeded, the oldest entries are dropped.
+ *
+ * Any object with `get(key)` and `set(key, html, ttl)` methods can replace it, e.g. one backed by Redis.
+ * Both may return promises. `delete(key)` is needed for `invalidateFragment`.
+ */
+class MemoryFragmentStore {
+  /**
+   * The entries in insertion order.
+   * @type {Map<string, {html: string, expires: number}>}
+   */
+  #entries = new Map();
+
+  /**
+   * @param {Object} [options={}] - The store options.
+   * @param {number} [options.maxEntries=Infinity] - The maximum number of entries.
+   */
+  constructor({ maxEntries = Infinity } = {}) {
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * The number of entries, including expired entries that were not read since.
+   * @type {number}
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * @param {string} key - The fragment key.
+   * @returns {string|undefined} The cached HTML, or `undefined` if there is none or it expired.
+   */
+  get(key) {
+    const entry = this.#entries.get(key);
+    if (entry === undefined) {
+      return undefined;
+    }
+    if (entry.expires <= Date.now()) {
+      this.#entries.delete(key);
+      return undefined;
+    }
+    return entry.html;
+  }
+
+  /**
+   * @param {string} key - The fragment key.
+   * @param {string} html - The rendered HTML.
+   * @param {number} [ttl] - The lifetime in seconds; without it, the entry does not expire.
+   */
+  set(key, html, ttl) {
+    this.#entries.delete(key);
+    this.#entries.set(key, { html, expires: ttl ? Date.now() + ttl * 1000 : Infinity });
+
+    for (const [oldest] of this.#entries) {
+      if (this.#entries.size <= this.maxEntries) {
+        break;
+      }
+      this.#entries.delete(oldest);
+    }
+  }
+
+  /**
+   * Removes an entry and every entry whose key continues it: `nav` removes `nav`, `nav:admin` and `nav:guest`.
+   *
+   * @param {string} key - The fragment key, or the first parts of it.
+   * @returns {boolean} Whether there was an entry to remove.
+   */
+  delete(key) {
+    let removed = false;
+    for (const stored of [...this.#entries.keys()]) {
+      if (stored === key || stored.startsWith(`${key}:`)) {
+        this.#entries.delete(stored);
+        removed = true;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Removes every entry.
+   */
+  clear() {
+    this.#entries.clear();
+  }
+}
+
+/**
+ * TemplateSMD is a class for rendering HTML templates with support for partials, 
+ * conditionals, loops, and placeholders. It provides methods to manage template 
+ * caching, register partials, and render templates from strings or files.
+ *
+ * Features:
+ * - Register and use partial templates.
+ * - Render templates with bindings for placeholders, conditionals, and loops.
+ * - Cache templates for improved performance.
+ * - Normalize and resolve file paths for templates.
+ * - Escape HTML to prevent XSS attacks.
+ *
+ * Example Usage:
+ * ```javascript
+ * const templateHandler = new TemplateSMD({
+ * baseFolder: './templates',
+ * partialsFolder: './partials',
+ * enableCache: true
+ * });
+ *
+ * templateHandler.registerPartial('header', '<header>{{ title }}</header>');
+ * const rendered = templateHandler.render('<div>{{> header }}</div>', { title: 'Hello World' });
+ * console.log(rendered); // Outputs: <div><header>Hello World</header></div>
+ * ```
+ *
+ * @class
+ * @param {Object} [options={}] - Configuration options for the template handler.
+ * @param {string} [options.baseFolder=''] - The base folder path for templates.
+ * @param {string} [options.partialsFolder=''] - The folder path for partial templates.
+ * @param {Object} [options.loader] - Where templates come from; defaults to the base and partials folders.
+ * @param {Array<string>} [options.extensions=['.html']] - The template file extensions.
+ * @param {boolean} [options.enableCache=true] - Whether to enable caching of templates.
+ * @param {{maxEntries: number, maxSize: number}} [options.cache] - Bounds for the template cache.
+ * @param {boolean} [options.checkMtime=true] - Whether cached templates are checked for changes on every render.
+ * @param {boolean} [options.secure=false] - Whether templates are sandboxed: confined to their folders and limited to own data properties.
+ * @param {{maxPartialDepth: number, maxOutputSize: number, maxRenderTime: number}} [options.limits] - Resource limits for each render.
+ * @param {boolean} [options.strict=false] - Whether template problems throw a `TemplateError`.
+ * @param {function(TemplateError): void} [options.onWarning] - Receives template problems in non-strict mode.
+ * @param {Object<string, Function>} [options.hooks] - Event listeners keyed by event name, see `on()`.
+ * @param {boolean} [options.debug=false] - Whether rendered templates and partials are wrapped in HTML comments naming them.
+ * @param {Object} [options.fragmentStore] - Where `{{#cache}}` blocks keep their HTML; a `MemoryFragmentStore` by default.
+ * @param {string} [options.localesFolder=''] - The folder holding one `<locale>.json` message catalog per locale.
+ * @param {string} [options.locale] - The default locale for `{{t}}` and the `Intl` based filters.
+ * @param {string} [options.fallbackLocale] - The locale used for messages missing from the render's locale.
+ * @param {Array<string>} [options.delimiters=['{{', '}}']] - The opening and closing tag delimiters.
+ */
+class TemplateSMD {
+
+  /**
+   * Compiled partials keyed by name, each holding the source it was compiled from.
+   * @type {Map<string, Object>}
+   */
+  #compiledPartials = new Map();
+
+  /**
+   * Partials loaded on demand from the partials folder, keyed by name.
+   * @type {Map<string, Object>}
+   */
+  #filePartials = new Map();
+
+  /**
+   * While `analyze` parses a template, the problems found so far; `null` otherwise.
+   * @type {Array<TemplateError>|null}
+   */
+  #collectedProblems = null;
+
+  /**
+   * Message catalogs loaded on demand from the locales folder, keyed by locale; `null` when there is no file.
+   * @type {Map<string, Object|null>}
+   */
+  #fileCatalogs = new Map();
+
+  /**
+   * The files partials were registered from with `registerPartialFromFile` or `loadPartialsFromFolder`,
+   * keyed by partial name, so `watch()` can reload them.
+   * @type {Map<string, string>}
+   */
+  #partialFiles = new Map();
+
+  /**
+   * Template cache hits and misses since the engine was created.
+   * @type {{hits: number, misses: number}}
+   */
+  #cacheStats = { hits: 0, misses: 0 };
+
+  /**
+   * The loader for the base and partials folders, created on first use and dropped when they change.
+   * @type {FileSystemLoader|null}
+   */
+  #folderLoader = null;
+
+  /**
+   * Template ids keyed by type, including template and name, kept while `checkMtime` is off.
+   * Ordered from least to most recently used and capped at `MAX_RESOLUTIONS`.
+   * @type {Map<string, string>}
+   */
+  #resolutions = new Map();
+
+  /**
+   * The file watchers started by `watch()`.
+   * @type {Array<fs.FSWatcher>}
+   */
+  #watchers = [];
+
+  /**
+   * The loader of the Express `views` folder a render started by `express()` runs with, when no base folder is set.
+   * @type {AsyncLocalStorage<FileSystemLoader>}
+   */
+  #viewsLoader = new AsyncLocalStorage();
+
+  /**
+   * Loaders for Express `views` folders, keyed by folder, created on first use and dropped when the partials folder changes.
+   * @type {Map<string, FileSystemLoader>}
+   */
+  #viewsLoaders = new Map();
+
+  /**
+   * Event listeners registered with `on()`, keyed by event. Events without listeners have no entry.
+   * @type {Map<string, Array<Function>>}
+   */
+  #hooks = new Map();
+
+  /**
+   * Creates an instance of the template handler with the specified options.
+   * * @constructor
+   * @param {Object} [options={}] - Configuration options for the template handler.
+   * @param {string} [options.baseFolder=''] - The base folder path for templates.
+   * @param {string} [options.partialsFolder=''] - The folder path for partial templates.
+   * @param {Object} [options.loader] - Where templates, layouts and partials come from, instead of the base and
+   * partials folders: a `FileSystemLoader`, `MemoryLoader` or `MultiLoader`, or any object with the same
+   * `resolve(name, context)`, `load(id)` and optional `getVersion(id)` methods, e.g. reading from a database.
+   * @param {Array<string>} [options.extensions=['.html']] - The template file extensions. Names without one are
+   * tried with each, and `render` treats a string ending with one as a file name.
+   * @param {boolean} [options.enableCache=true] - Whether to enable caching of templates.
+   * @param {Object} [options.cache] - Bounds for the template cache. Past either bound, the least recently
+   * used templates are evicted.
+   * @param {number} [options.cache.maxEntries=Infinity] - The maximum number of cached template files.
+   * @param {number} [options.cache.maxSize=Infinity] - The maximum total size of the cached template sources, in bytes.
+   * @param {boolean} [options.checkMtime=true] - Whether cached templates are checked for changes on every render.
+   * Set it to `false` in production, where template files do not change, to skip the `fs.stat` call; use
+   * `watch()` or `invalidateTemplateCache` to pick up changes then.
+   * @param {boolean} [options.secure=false] - Whether templates are sandboxed, for templates or template paths
+   * that come from untrusted users:
+   * - template and partial files must lie inside the base or partials folder once symlinks are resolved,
+   *   otherwise reading them fails with `PATH_OUTSIDE_ROOT`;
+   * - expressions only read own data properties: `__proto__`, `constructor`, inherited properties and
+   *   getters fail with `FORBIDDEN_PROPERTY`.
+   * @param {Object} [options.limits] - Resource limits for each render, in any mode. Exceeding one throws a `TemplateError`.
+   * @param {number} [options.limits.maxPartialDepth=100] - How deeply partials may include partials (`PARTIAL_DEPTH_EXCEEDED`).
+   * @param {number} [options.limits.maxOutputSize=Infinity] - The maximum output length in characters (`OUTPUT_LIMIT_EXCEEDED`).
+   * @param {number} [options.limits.maxRenderTime=Infinity] - The maximum render time in milliseconds, not counting
+   * file reads (`RENDER_TIMEOUT`). It is checked as output is produced, so it cannot interrupt a single slow filter.
+   * @param {boolean} [options.strict=false] - Whether template problems throw a `TemplateError`: undefined
+   * variables, missing partials, unclosed blocks, non-iterable `{{#each}}` targets and malformed tags.
+   * @param {function(TemplateError): void} [options.onWarning] - Receives template problems in non-strict mode.
+   * Without it, problems are ignored.
+   * @param {Object<string, Function>} [options.hooks] - Event listeners keyed by event name, e.g.
+   * `{ afterRender: event => metrics.timing('render', event.duration) }`; see `on()` for the events.
+   * @param {boolean} [options.debug=false] - Whether each rendered template and partial is wrapped in HTML comments
+   * naming its source, such as `<!-- partial "card" (views/partials/card.html) -->`. Meant for development:
+   * the comments end up in the output, and are left out where a comment would break it, e.g. inside attributes.
+   * @param {Object} [options.fragmentStore] - Where `{{#cache}}` blocks keep their rendered HTML: any object with
+   * `get(key)` and `set(key, html, ttl)` methods, which may return promises, and `delete(key)` for `invalidateFragment`.
+   * Defaults to a `MemoryFragmentStore`.
+   * @param {string} [options.localesFolder=''] - The folder holding one `<locale>.json` message catalog per locale.
+   * @param {string} [options.locale] - The default locale for `{{t}}` and the `Intl` based filters.
+   * Without it, `Intl` uses the runtime's default locale.
+   * @param {string} [options.fallbackLocale] - The locale used for messages missing from the render's locale.
+   * @param {Array<string>} [options.delimiters=['{{', '}}']] - The opening and closing tag delimiters, e.g.
+   * `['[[', ']]']` to leave `{{ }}` to a client-side framework.
+   * @throws {Error} Throws an error if the delimiters are not two different non-empty strings without whitespace.
+   * @throws {Error} Throws an error if a cache bound or a render limit is not a positive number.
+   * @throws {Error} Throws an error if the loader lacks `resolve` or `load`, or an extension does not start with a dot.
+   * @throws {Error} Throws an error if a hook is not a known event or its listener is not a function.
+   * @throws {Error} Throws an error if the fragment store lacks `get` or `set`.
+   */
+  constructor(options = {}) {
+    const baseFolder = typeof options.baseFolder === 'string' ? options.baseFolder : '';
+    const partialsFolder = typeof options.partialsFolder === 'string' ? options.partialsFolder : '';
+
+    this.baseTemplateFolder = this.#normalizeFolder(baseFolder);
+    this.partialsFolder = this.#normalizeFolder(partialsFolder);
+    this.enableCache = options.enableCache !== false;
+    this.checkMtime = options.checkMtime !== false;
+    this.secure = options.secure === true;
+    this.limits = this.#validateLimits('Render limits', options.limits, {
+      maxPartialDepth: 100,
+      maxOutputSize: Infinity,
+      maxRenderTime: Infinity
+    });
+    this.strict = options.strict === true;
+    this.onWarning = typeof options.onWarning === 'function' ? options.onWarning : null;
+    this.debug = options.debug === true;
+    this.localesFolder = this.#normalizeFolder(typeof options.localesFolder === 'string' ? options.localesFolder : '');
+    this.locale = typeof options.locale === 'string' && options.locale ? options.locale : null;
+    this.fallbackLocale = typeof options.fallbackLocale === 'string' && options.fallbackLocale ? options.fallbackLocale : null;
+    this.delimiters = this.#validateDelimiters(options.delimiters === undefined ? DEFAULT_DELIMITERS : options.delimiters);
+    this.extensions = this.#validateExtensions(options.extensions === undefined ? DEFAULT_EXTENSIONS : options.extensions);
+    this.loader = options.loader === undefined ? null : this.#validateLoader(options.loader);
+    this.fragmentStore = options.fragmentStore === undefined
+      ? new MemoryFragmentStore()
+      : this.#validateFragmentStore(options.fragmentStore);
+
+    this.templateCache = new TemplateCache(this.#validateLimits('Cache limits', options.cache, {
+      maxEntries: Infinity,
+      maxSize: Infinity
+    }));
+    this.partials = new Map();
+    this.filters = new Map();
+    this.catalogs = new Map();
+
+    this.#registerBuiltInFilters();
+    for (const [event, listener] of Object.entries(options.hooks || {})) {
+      this.on(event, listener);
+    }
+  }
+
+  /**
+   * Adds a listener for a render event, e.g. to send timings to a logger or metrics system.
+   * Listeners are called synchronously with one event object; an error thrown by a listener
+   * propagates to the render.
+   *
+   * - `beforeRender` `{ template, locale, fragment }`: a render starts. `template` is the template id,
+   *   such as the file path, or `null` for a template string; `fragment` is set by `renderFragment(s)`.
+   * - `afterRender` `{ template, locale, fragment, duration, size }`: a render finished, after `duration`
+   *   milliseconds, with `size` characters of output. A failed render has `error` instead of `size`.
+   * - `partialRendered` `{ name, source, parent, depth, duration }`: a partial was rendered. `source` is its id,
+   *   or `null` for a registered partial, and `parent` the id of the template that includes it.
+   * - `missingBinding` `{ path, template, line, column }`: an expression read an undefined value, in any mode.
+   * - `cacheHit` `{ template }` and `cacheMiss` `{ template, duration }`: a template was taken from the cache,
+   *   or loaded in `duration` milliseconds.
+   *
+   * Durations are measured when rendering, so they do not include loading templates; `renderToStream`
+   * measures until its last chunk is read.
+   *
+   * Example:
+   * ```javascript
+   * engine.on('afterRender', ({ template, duration }) => logger.info({ template, duration }, 'rendered'));
+   * ```
+   *
+   * @param {string} event - The event name.
+   * @param {function(Object): void} listener - The listener.
+   * @returns {TemplateSMD} The engine, for chaining.
+   * @throws {Error} Throws an error if the event is unknown or the listener is not a function.
+   */
+  on(event, listener) {
+    if (!HOOK_EVENTS.has(event)) {
+      throw new Error(`Unknown hook "${event}"; expected one of ${[...HOOK_EVENTS].join(', ')}.`);
+    }
+    if (typeof listener !== 'function') {
+      throw new Error(`The listener for hook "${event}" must be a function.`);
+    }
+
+    const listeners = this.#hooks.get(event) || [];
+    this.#hooks.set(event, [...listeners, listener]);
+    return this;
+  }
+
+  /**
+   * Removes a listener added with `on()` or the `hooks` option.
+   *
+   * @param {string} event - The event name.
+   * @param {function(Object): void} listener - The listener.
+   * @returns {TemplateSMD} The engine, for chaining.
+   */
+  off(event, listener) {
+    const listeners = (this.#hooks.get(event) || []).filter(current => current !== listener);
+    if (listeners.length > 0) {
+      this.#hooks.set(event, listeners);
+    } else {
+      this.#hooks.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Calls the listeners of an event.
+   *
+   * @param {string} event - The event name.
+   * @param {Object} payload - The event object.
+   * @private
+   */
+  #emit(event, payload) {
+    const listeners = this.#hooks.get(event);
+    if (!listeners) {
+      return;
+    }
+    for (const listener of listeners) {
+      listener(payload);
+    }
+  }
+
+  /**
+   * Runs a render between the `beforeRender` and `afterRender` events, and wraps its output in
+   * debug comments when the template has a name. A render that returns a promise, because it waits
+   * for `{{#cache}}` blocks, is traced until the promise settles.
+   *
+   * @param {Object} info - The event fields: `template`, `locale` and, for fragments, `fragment`.
+   * @param {function(): (string|Promise<string>)} render - Renders the output.
+   * @param {Array<Object>} [chain=[]] - The layout chain, whose layouts are wrapped in debug comments as well.
+   * @returns {string|Promise<string>} The rendered output, or a promise for it if `render` returned one.
+   * @private
+   */
+  #traceRender(info, render, chain = []) {
+    this.#emit('beforeRender', info);
+    const started = this.#hooks.has('afterRender') ? performance.now() : null;
+
+    const fail = error => {
+      if (started !== null) {
+        this.#emit('afterRender', { ...info, duration: performance.now() - started, error });
+      }
+      throw error;
+    };
+    const finish = output => {
+      if (this.debug && info.template !== null && !info.fragment) {
+        const [open, close] = this.#debugFrame(info.template, chain);
+        output = open + output + close;
+      }
+      if (started !== null) {
+        this.#emit('afterRender', { ...info, duration: performance.now() - started, size: output.length });
+      }
+      return output;
+    };
+
+    let output;
+    try {
+      output = render();
+    } catch (error) {
+      fail(error);
+    }
+    return typeof output === 'string' ? finish(output) : output.then(finish, fail);
+  }
+
+  /**
+   * Builds the debug comments around a rendered template: the template's, then one for each layout
+   * it extends, outermost first.
+   *
+   * @param {string} template - The template name.
+   * @param {Array<Object>} chain - The layout chain, starting with the template.
+   * @returns {Array<string>} The opening and the closing comments.
+   * @private
+   */
+  #debugFrame(template, chain) {
+    const layouts = chain.slice(1).map(layout => layout.name);
+    const open = [`template ${template}`, ...layouts.map(name => `layout ${name}`)];
+    const close = [...layouts.map(name => `/layout ${name}`).reverse(), `/template ${template}`];
+    return [open.map(text => this.#debugComment(text)).join(''), close.map(text => this.#debugComment(text)).join('')];
+  }
+
+  /**
+   * Builds an HTML comment for debug output. Runs of dashes are broken up so the text cannot end the comment.
+   *
+   * @param {string} text - The comment text.
+   * @returns {string} The comment.
+   * @private
+   */
+  #debugComment(text) {
+    return `<!-- ${String(text).replace(/-(?=-)/g, '- ')} -->`;
+  }
+
+  /**
+   * Checks a limits option given to the constructor, such as `cache` or `limits`.
+   *
+   * @param {string} label - What the limits are, for the error message.
+   * @param {*} limits - The option.
+   * @param {Object<string, number>} defaults - The known limits and their defaults.
+   * @returns {Object<string, number>} The limits, with defaults for those not given.
+   * @throws {Error} Throws an error if a limit is not a positive number.
+   * @private
+   */
+  #validateLimits(label, limits, defaults) {
+    const result = {};
+    for (const [key, fallback] of Object.entries(defaults)) {
+      const value = limits && limits[key] !== undefined ? limits[key] : fallback;
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`${label} must be positive numbers.`);
+      }
+      result[key] = value;
+    }
+    return result;
+  }
+
+  /**
+   * Checks the template extensions given to the constructor.
+   *
+   * @param {*} extensions - The extensions option.
+   * @returns {Array<string>} A copy of the extensions.
+   * @throws {Error} Throws an error if the extensions are not a non-empty array of strings starting with a dot.
+   * @private
+   */
+  #validateExtensions(extensions) {
+    if (!Array.isArray(extensions) || extensions.length === 0 || !extensions.every(extension => typeof extension === 'string' && /^\.[^\s/\\]+$/.test(extension))) {
+      throw new Error('Extensions must be a non-empty array of strings such as ".html".');
+    }
+    return [...extensions];
+  }
+
+  /**
+   * Checks the loader given to the constructor.
+   *
+   * @param {*} loader - The loader option.
+   * @returns {Object} The loader.
+   * @throws {Error} Throws an error if the loader lacks a `resolve` or `load` method.
+   * @private
+   */
+  #validateLoader(loader) {
+    if (!loader || typeof loader.resolve !== 'function' || typeof loader.load !== 'function') {
+      throw new Error('A loader must have resolve and load methods.');
+    }
+    return loader;
+  }
+
+  /**
+   * Checks the fragment store given to the constructor.
+   *
+   * @param {*} store - The fragmentStore option.
+   * @returns {Object} The store.
+   * @throws {Error} Throws an error if the store lacks a `get` or `set` method.
+   * @private
+   */
+  #validateFragmentStore(store) {
+    if (!store || typeof store.get !== 'function' || typeof store.set !== 'function') {
+      throw new Error('A fragment store must have get and set methods.');
+    }
+    return store;
+  }
+
+  /**
+   * Checks the tag delimiters given to the constructor.
+   *
+   * @param {*} delimiters - The delimiters option.
+   * @returns {Array<string>} A copy of the delimiters.
+   * @throws {Error} Throws an error if the delimiters are not two different non-empty strings without whitespace.
+   * @private
+   */
+  #validateDelimiters(delimiters) {
+    const valid = Array.isArray(delimiters)
+      && delimiters.length === 2
+      && delimiters.every(delimiter => typeof delimiter === 'string' && /^\S+$/.test(delimiter))
+      && delimiters[0] !== delimiters[1];
+    if (!valid) {
+      throw new Error('Delimiters must be two different non-empty strings without whitespace.');
+    }
+    return [...delimiters];
+  }
+
+  /**
+   * Normalizes a folder path by removing trailing slashes and backslashes.
+   * @param {string} [folderPath=''] - The folder path to normalize
+   * @returns {string} The normalized folder path without trailing slashes, or empty string if no path provided
+   * @private
+   */
+  #normalizeFolder(folderPath = '') {
+    return folderPath ? folderPath.replace(/[\\/]+$/, '') : '';
+  }
+
+  /**
+   * Sets the base template folder path.
+   *
+   * @param {string} folderPath - The path to the base template folder. 
+   * Must be a string and will be normalized after trimming.
+   * @throws {Error} Throws an error if the provided folderPath is not a string.
+   */
+  setBaseTemplateFolder(folderPath) {
+    if (typeof folderPath !== 'string') {
+      throw new Error('Base folder must be a string.');
+    }
+    this.baseTemplateFolder = this.#normalizeFolder(folderPath.trim());
+    this.#folderLoader = null;
+    this.#viewsLoaders.clear();
+    this.#resolutions.clear();
+  }
+
+  /**
+   * Sets the folder path for partial templates.
+   *
+   * @param {string} folderPath - The path to the folder containing partial templates.
+   * @throws {Error} Throws an error if the provided folderPath is not a string.
+   */
+  setPartialsFolder(folderPath) {
+    if (typeof folderPath !== 'string') {
+      throw new Error('Partials folder must be a string.');
+    }
+    this.partialsFolder = this.#normalizeFolder(folderPath.trim());
+    this.#folderLoader = null;
+    this.#viewsLoaders.clear();
+    this.#resolutions.clear();
+  }
+
+  /**
+   * Sets the folder holding the message catalogs, one `<locale>.json` file per locale.
+   *
+   * @param {string} folderPath - The path to the locales folder, relative to the base folder or absolute.
+   * @throws {Error} Throws an error if the provided folderPath is not a string.
+   */
+  setLocalesFolder(folderPath) {
+    if (typeof folderPath !== 'string') {
+      throw new Error('Locales folder must be a string.');
+    }
+    this.localesFolder = this.#normalizeFolder(folderPath.trim());
+    this.#fileCatalogs.clear();
+  }
+
+  /**
+   * Registers the message catalog of a locale. Registered catalogs take precedence over files in
+   * the locales folder and are available to every render method, including `renderTemplateString`.
+   *
+   * Messages are nested objects or dotted keys: `{ cart: { items: '...' } }` and `{ 'cart.items': '...' }`
+   * both define `cart.items`. A message is a string with `{name}` placeholders, or an object of plural
+   * forms keyed by `Intl.PluralRules` category (`zero`, `one`, `two`, `few`, `many`, `other`) or by an
+   * exact count such as `=0`.
+   *
+   * @param {string} locale - The locale, e.g. `en` or `pt-BR`.
+   * @param {Object} messages - The messages.
+   * @throws {Error} Throws an error if the locale is not a non-empty string or not a valid locale code,
+   * or the messages are not an object.
+   */
+  registerCatalog(locale, messages) {
+    if (typeof locale !== 'string' || !locale.trim()) {
+      throw new Error('Locale must be a non-empty string.');
+    }
+    if (!this.#isLocale(locale.trim())) {
+      throw new Error(`Locale "${locale.trim()}" is not a valid locale code, such as "en" or "pt-BR".`);
+    }
+    if (!messages || typeof messages !== 'object') {
+      throw new Error('Catalog messages must be an object.');
+    }
+    this.catalogs.set(locale.trim(), messages);
+  }
+
+  /**
+   * Checks whether a string is a locale code a catalog can be kept under: it matches `LOCALE_PATTERN`
+   * and `Intl` accepts it, so plural rules and number formats can be made for it.
+   *
+   * @param {string} locale - The locale code, with `-` or `_` separators.
+   * @returns {boolean} Whether the locale is valid.
+   * @private
+   */
+  #isLocale(locale) {
+    if (!LOCALE_PATTERN.test(locale)) {
+      return false;
+    }
+    try {
+      Intl.getCanonicalLocales(locale.replace(/_/g, '-'));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Registers a partial template with a given name.
+   *
+   * @param {string} name - The name of the partial. Must be a non-empty string.
+   * @param {string} template - The template content as a string.
+   * @throws {Error} Throws an error if the name is not a non-empty string.
+   * @throws {Error} Throws an error if the template is not a string.
+   */
+  registerPartial(name, template) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Partial name must be a non-empty string.');
+    }
+    if (typeof template !== 'string') {
+      throw new Error('Partial template must be a string.');
+    }
+    this.partials.set(name.trim(), template);
+    this.#partialFiles.delete(name.trim());
+  }
+
+  /**
+   * Registers a partial template from a file.
+   *
+   * @param {string} name - The name to register the partial under.
+   * @param {string} [filePath] - The explicit file path to the partial template. If not provided, the method will use the `partialsFolder` property and the `name` to construct the file path.
+   * @throws {Error} Throws an error if neither `partialsFolder` nor `filePath` is provided.
+   * @returns {Promise<string>} The content of the registered partial template.
+   */
+  async registerPartialFromFile(name, filePath) {
+    if (!this.partialsFolder && !filePath) {
+      throw new Error('Set a partials folder or provide an explicit file path.');
+    }
+
+    const loader = this.#getFolderLoader();
+    const absolutePath = filePath
+      ? await loader.resolve(filePath, { secure: this.secure })
+      : await loader.resolve(name, { type: 'partial', secure: this.secure });
+    if (!absolutePath) {
+      throw this.#createError('TEMPLATE_READ_FAILED', 'Template file was not found.', { origin: { name: filePath || name } });
+    }
+
+    const template = await loader.load(absolutePath);
+    this.registerPartial(name, template);
+    this.#partialFiles.set(name.trim(), absolutePath);
+    return template;
+  }
+
+  /**
+   * Registers every template file under a folder as a partial, including subdirectories.
+   * Each partial is named after its path relative to the folder, without the extension,
+   * so `forms/input.html` is registered as `forms/input`.
+   *
+   * Partials in the partials folder are also loaded on first use by the asynchronous render
+   * methods; registering them up front makes them available to `renderTemplateString` as well.
+   *
+   * @param {string} [folderPath] - The folder to load. Defaults to the `partialsFolder`.
+   * @throws {Error} Throws an error if neither `partialsFolder` nor `folderPath` is provided.
+   * @returns {Promise<Array<string>>} The names of the registered partials.
+   */
+  async loadPartialsFromFolder(folderPath) {
+    if (!this.partialsFolder && !folderPath) {
+      throw new Error('Set a partials folder or provide an explicit folder path.');
+    }
+
+    const loader = folderPath
+      ? new FileSystemLoader({ root: this.#resolveFilePath('.'), partials: this.#resolveFilePath(folderPath), extensions: this.extensions })
+      : this.#getFolderLoader();
+    const names = await loader.list('partial');
+
+    for (const name of names) {
+      const absolutePath = await loader.resolve(name, { type: 'partial', secure: this.secure });
+      this.registerPartial(name, await loader.load(absolutePath));
+      this.#partialFiles.set(name, absolutePath);
+    }
+
+    return names;
+  }
+
+  /**
+   * Returns the loader templates come from: the `loader` option, or the base and partials folders.
+   * Inside a render started by `express()` without a base folder, it is the loader of the `views` folder.
+   *
+   * @returns {Object} The loader.
+   * @private
+   */
+  #getLoader() {
+    return this.#viewsLoader.getStore() || this.loader || this.#getFolderLoader();
+  }
+
+  /**
+   * Returns the loader for an Express `views` folder, used in place of a base folder. A relative partials
+   * folder is relative to the views folder.
+   *
+   * @param {string} views - The views folder.
+   * @returns {FileSystemLoader} The loader.
+   * @private
+   */
+  #getViewsLoader(views) {
+    const root = path.resolve(views);
+    if (!this.#viewsLoaders.has(root)) {
+      this.#viewsLoaders.set(root, new FileSystemLoader({
+        root,
+        partials: this.partialsFolder ? path.resolve(root, this.partialsFolder) : null,
+        extensions: this.extensions
+      }));
+    }
+    return this.#viewsLoaders.get(root);
+  }
+
+  /**
+   * Returns the loader for the base and partials folders. Relative partials folders are relative to the base folder.
+   *
+   * @returns {FileSystemLoader} The loader.
+   * @private
+   */
+  #getFolderLoader() {
+    if (!this.#folderLoader) {
+      this.#folderLoader = new FileSystemLoader({
+        root: this.#resolveFilePath('.'),
+        partials: this.partialsFolder ? this.#resolveFilePath(this.partialsFolder) : null,
+        extensions: this.extensions
+      });
+    }
+    return this.#folderLoader;
+  }
+
+  /**
+   * Finds the id of a template through the loader. While `checkMtime` is off, the `MAX_RESOLUTIONS`
+   * most recently used ids are remembered until the cache is cleared or a watched file changes.
+   *
+   * @param {string} name - The template, layout or partial name.
+   * @param {string} type - `template`, `layout` or `partial`.
+   * @param {string|null} [from=null] - The id of the template that refers to it, if any.
+   * @returns {Promise<string|null>} The id, or `null` if the loader has no such template.
+   * @private
+   */
+  async #resolveTemplate(name, type, from = null) {
+    const remember = this.enableCache && !this.checkMtime;
+    const loader = this.#getLoader();
+    const key = `${loader.root || ''}\n${type}\n${from}\n${name}`;
+    if (remember && this.#resolutions.has(key)) {
+      const id = this.#resolutions.get(key);
+      this.#resolutions.delete(key);
+      this.#resolutions.set(key, id);
+      return id;
+    }
+
+    const id = await loader.resolve(name, { type, from, secure: this.secure });
+    if (id == null) {
+      return null;
+    }
+    if (remember) {
+      this.#resolutions.delete(key);
+      this.#resolutions.set(key, id);
+      for (const oldest of this.#resolutions.keys()) {
+        if (this.#resolutions.size <= MAX_RESOLUTIONS) {
+          break;
+        }
+        this.#resolutions.delete(oldest);
+      }
+    }
+    return id;
+  }
+
+  /**
+   * Lists the templates or partials of the loader.
+   *
+   * @param {string} type - `template` or `partial`.
+   * @returns {Promise<Array<string>>} The names. Without a loader option, templates are only listed
+   * when a base folder is set.
+   * @throws {Error} Throws an error if the loader cannot list its templates.
+   * @private
+   */
+  async #listTemplates(type) {
+    const loader = this.#getLoader();
+    if (!this.loader && type === 'template' && !this.baseTemplateFolder) {
+      return [];
+    }
+    if (typeof loader.list !== 'function') {
+      throw new Error('The loader cannot list its templates.');
+    }
+    return loader.list(type);
+  }
+
+  /**
+   * Parses every template in the base folder and every partial in the partials folder, or every template
+   * the loader lists, into a
+   * bundle that `loadPrecompiled` turns into render functions without touching the file system.
+   * The bundle is plain JSON, so it can be written into a module; the `templatesmd compile`
+   * command does exactly that.
+   *
+   * Templates are named by their path relative to the base folder (`pages/home.html`), partials
+   * by their path relative to the partials folder without the extension (`forms/input`).
+   * The partials folder is left out of the templates when it lies inside the base folder.
+   * With a locales folder, its message catalogs are included as well.
+   *
+   * @throws {Error} Throws an error if no base folder or loader is set, or the loader cannot list its templates.
+   * @throws {TemplateError} In strict mode, if a template has a problem.
+   * @returns {Promise<{version: number, templates: Object, partials: Object, catalogs: Object}>} The bundle.
+   */
+  async precompileFolder() {
+    if (!this.loader && !this.baseTemplateFolder) {
+      throw new Error('Set a base folder to precompile.');
+    }
+
+    const bundle = { version: PRECOMPILED_VERSION, templates: {}, partials: {}, catalogs: {} };
+
+    for (const type of ['template', 'partial']) {
+      const target = type === 'partial' ? bundle.partials : bundle.templates;
+      for (const name of await this.#listTemplates(type)) {
+        const { content: source } = await this.#readTemplateEntry(await this.#resolveTemplate(name, type));
+        target[name] = { source, ast: this.#parse(source, name) };
+      }
+    }
+    if (this.localesFolder) {
+      const localesRoot = this.#resolveFilePath(this.localesFolder);
+      for (const entry of await fsPromises.readdir(localesRoot, { withFileTypes: true })) {
+        const locale = entry.name.slice(0, -'.json'.length);
+        if (entry.isFile() && entry.name.endsWith('.json') && this.#isLocale(locale)) {
+          await this.#loadCatalogs(locale);
+          bundle.catalogs[locale] = this.#fileCatalogs.get(locale);
+        }
+      }
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Loads a bundle from `precompileFolder` and returns a render function for each of its templates.
+   *
+   * The bundle's partials become available to every render method, like partials loaded from the
+   * partials folder; registered partials still take precedence. Its catalogs are registered. `{{#extends}}` paths resolve
+   * against the bundle's template names, so rendering is synchronous and never reads a file.
+   *
+   * Example:
+   * ```javascript
+   * const templates = engine.loadPrecompiled(bundle);
+   * const html = templates['pages/home.html']({ user });
+   * ```
+   *
+   * @param {{version: number, templates: Object, partials: Object, catalogs: Object}} bundle - The precompiled bundle.
+   * @throws {Error} Throws an error if the bundle was made by an incompatible version.
+   * @returns {Object<string, function(Object=, Object=): string>} Render functions keyed by template name,
+   * taking the bindings and the same options as `renderTemplateFile`.
+   */
+  loadPrecompiled(bundle) {
+    if (!bundle || bundle.version !== PRECOMPILED_VERSION) {
+      throw new Error('Precompiled templates were built by an incompatible version of TemplateSMD. Compile them again.');
+    }
+
+    for (const [name, { source, ast }] of Object.entries(bundle.partials || {})) {
+      this.#filePartials.set(name, this.#compile(source, name, ast));
+    }
+    for (const [locale, messages] of Object.entries(bundle.catalogs || {})) {
+      this.registerCatalog(locale, messages);
+    }
+
+    const compiled = new Map();
+    for (const [name, { source, ast }] of Object.entries(bundle.templates || {})) {
+      compiled.set(name, this.#compile(source, name, ast));
+    }
+
+    const renderers = {};
+    for (const [name, template] of compiled) {
+      renderers[name] = (bindings = {}, options = {}) => {
+        const chain = this.#precompiledChain(template, compiled);
+        return this.#renderCompiled(template, bindings, chain, this.#renderLocale(options));
+      };
+    }
+    return renderers;
+  }
+
+  /**
+   * Follows `{{#extends}}` through a set of precompiled templates.
+   *
+   * @param {Object} compiled - The compiled template.
+   * @param {Map<string, Object>} templates - The precompiled templates by name.
+   * @returns {Array<Object>} The layout chain.
+   * @throws {TemplateError} If a layout is not in the bundle (code `MISSING_TEMPLATE`)
+   * or a layout extends itself (code `CIRCULAR_LAYOUT`).
+   * @private
+   */
+  #precompiledChain(compiled, templates) {
+    const chain = [compiled];
+    const seen = new Set([compiled.name]);
+    let current = compiled;
+
+    while (current.extends) {
+      const name = path.posix.normalize(current.extends.replace(/\\/g, '/'));
+      if (!templates.has(name)) {
+        throw this.#createError('MISSING_TEMPLATE', `Layout "${current.extends}" is not precompiled.`, {
+          origin: { name: current.name }
+        });
+      }
+      if (seen.has(name)) {
+        throw this.#createError('CIRCULAR_LAYOUT', 'Circular layout inheritance.', { origin: { name } });
+      }
+      seen.add(name);
+      current = templates.get(name);
+      chain.push(current);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Registers a filter that can be applied to placeholder values with `|`.
+   *
+   * Filters receive the piped value followed by any arguments given after `:`,
+   * e.g. `{{ price | currency:"EUR" }}` calls `fn(price, "EUR")`. Their result is
+   * HTML-escaped in `{{ }}` output unless the filter is registered with `safe: true`.
+   * Filters are called with `this.locale` set to the render's locale, so a filter written
+   * as a regular function can format for it.
+   *
+   * @param {string} name - The filter name. Must be a valid identifier.
+   * @param {Function} fn - The filter function.
+   * @param {Object} [options={}] - Filter options.
+   * @param {boolean} [options.safe=false] - Whether the filter returns trusted HTML that must not be escaped.
+   * @throws {Error} Throws an error if the name is not a valid identifier.
+   * @throws {Error} Throws an error if `fn` is not a function.
+   */
+  registerFilter(name, fn, options = {}) {
+    if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name.trim())) {
+      throw new Error('Filter name must be a valid identifier.');
+    }
+    if (typeof fn !== 'function') {
+      throw new Error('Filter must be a function.');
+    }
+    this.filters.set(name.trim(), { fn, safe: options.safe === true });
+  }
+
+  /**
+   * Registers the filters that ship with the engine.
+   *
+   * - `upper`, `lower`, `capitalize`, `trim`: Change case or strip whitespace.
+   * - `truncate:length,suffix`: Shortens text to `length` characters (default 50), appending `suffix` (default `…`).
+   * - `currency:code,locale`: Formats a number as money (default `USD`).
+   * - `number:decimals,locale`: Formats a number with grouping and a fixed number of decimals.
+   * - `date:format,locale`: Formats a date as `short`, `medium` (default), `long`, `full`, `iso`,
+   *   or a pattern using `YYYY`, `MM`, `DD`, `HH`, `mm` and `ss`.
+   * - `json:indent`: Serializes a value to JSON.
+   * - `pluralize:singular,plural`: Picks the singular word for a count of 1, otherwise the plural (default `singular + "s"`).
+   * - `default:fallback`: Replaces `null`, `undefined` and empty strings.
+   * - `join:separator`: Joins an array (default `, `).
+   * - `sum:key`: Adds up the numbers in an array or other iterable, or their `key` field (a dotted path); other values are skipped.
+   * - `urlencode`: Encodes a value for use in a URL component.
+   * - `nl2br`: Escapes text and converts newlines to `<br>`. Marked safe.
+   *
+   * @private
+   */
+  #registerBuiltInFilters() {
+    const toText = value => this.#stringifyValue(value);
+    const toNumber = value => (typeof value === 'number' ? value : Number(value));
+
+    this.registerFilter('upper', value => toText(value).toUpperCase());
+    this.registerFilter('lower', value => toText(value).toLowerCase());
+    this.registerFilter('capitalize', value => {
+      const text = toText(value);
+      return text.charAt(0).toUpperCase() + text.slice(1);
+    });
+    this.registerFilter('trim', value => toText(value).trim());
+    this.registerFilter('truncate', (value, length = 50, suffix = '…') => {
+      const text = toText(value);
+      return text.length > length ? text.slice(0, Math.max(0, length - suffix.length)) + suffix : text;
+    });
+    this.registerFilter('currency', function (value, currency = 'USD', locale = this.locale) {
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+      return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(toNumber(value));
+    });
+    this.registerFilter('number', function (value, decimals, locale = this.locale) {
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+      const options = decimals === undefined ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+      return new Intl.NumberFormat(locale, options).format(toNumber(value));
+    });
+    this.registerFilter('date', function (value, format = 'medium', locale = this.locale) {
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return '';
+      }
+      if (format === 'iso') {
+        return date.toISOString();
+      }
+      if (DATE_STYLES.has(format)) {
+        return new Intl.DateTimeFormat(locale, { dateStyle: format }).format(date);
+      }
+      const pad = number => String(number).padStart(2, '0');
+      const parts = {
+        YYYY: String(date.getFullYear()),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+      };
+      return String(format).replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+    });
+    this.registerFilter('json', (value, indent) => this.#toJson(value, indent) ?? '');
+    this.registerFilter('pluralize', (value, singular = '', plural) => {
+      const count = Array.isArray(value) ? value.length : toNumber(value);
+      return count === 1 ? singular : (plural ?? `${singular}s`);
+    });
+    this.registerFilter('default', (value, fallback = '') => (
+      value === null || value === undefined || value === '' ? fallback : value
+    ));
+    this.registerFilter('join', (value, separator = ', ') => {
+      if (!Array.isArray(value)) {
+        return toText(value);
+      }
+      const items = this.secure ? Array.from({ length: value.length }, (item, index) => this.#readOwnProperty(value, String(index))) : value;
+      return items.map(toText).join(separator);
+    });
+    this.registerFilter('sum', (value, key) => {
+      const items = value !== null && typeof value === 'object' && typeof value[Symbol.iterator] === 'function'
+        ? Array.from(value instanceof Map ? value.values() : value)
+        : [];
+      return items.reduce((total, item) => {
+        const number = toNumber(key === undefined ? item : this.#getNestedValue(item, String(key)));
+        return Number.isFinite(number) ? total + number : total;
+      }, 0);
+    });
+    this.registerFilter('urlencode', value => encodeURIComponent(toText(value)));
+    this.registerFilter('nl2br', value => this.#escapeHtml(value).replace(/\r?\n/g, '<br>'), { safe: true });
+  }
+
+  /**
+   * Clears the template cache by removing all stored entries, and forgets the catalogs loaded from the locales folder.
+   */
+  clearCache() {
+    this.templateCache.clear();
+    this.#resolutions.clear();
+    this.#fileCatalogs.clear();
+  }
+
+  /**
+   * Invalidates the cached template for the specified file path.
+   *
+   * This method resolves the given file path to its absolute path
+   * and removes the corresponding entry from the template cache.
+   * With a `loader`, pass the template's id instead.
+   *
+   * @param {string} filePath - The relative or absolute path of the file
+   * whose cache entry should be invalidated.
+   */
+  invalidateTemplateCache(filePath) {
+    this.templateCache.delete(filePath);
+    this.templateCache.delete(this.#resolveFilePath(filePath));
+    this.#resolutions.clear();
+  }
+
+  /**
+   * Drops the HTML that `{{#cache}}` blocks stored under a key, so they render again.
+   * A block's key is its arguments joined with `:`, e.g. `nav:admin` for `{{#cache "nav" user.role}}`
+   * with the role `admin`. The default store also drops every key the given key is the start of,
+   * so `invalidateFragment('nav')` drops the menus of all roles.
+   *
+   * @param {string} key - The fragment key.
+   * @returns {Promise<*>} Whatever the store's `delete` returns; for the default store, whether anything was dropped.
+   * @throws {Error} Throws an error if the store has no `delete` method.
+   */
+  async invalidateFragment(key) {
+    if (typeof this.fragmentStore.delete !== 'function') {
+      throw new Error('The fragment store has no delete method.');
+    }
+    return this.fragmentStore.delete(String(key));
+  }
+
+  /**
+   * Returns how well the template cache is doing. A hit is a render that used a cached file, a miss
+   * one that had to read it; an eviction is an entry dropped to keep the cache within its bounds.
+   *
+   * @returns {{hits: number, misses: number, evictions: number, entries: number, size: number}} The counts
+   * since the engine was created, and the number of cached files and their total size in bytes.
+   */
+  getCacheStats() {
+    return {
+      hits: this.#cacheStats.hits,
+      misses: this.#cacheStats.misses,
+      evictions: this.templateCache.evictions,
+      entries: this.templateCache.size,
+      size: this.templateCache.bytes
+    };
+  }
+
+  /**
+   * Reads and compiles every template in the base folder and every partial in the partials folder,
+   * or every template the loader lists, so the first requests after startup are served from the cache.
+   * Does nothing when caching is disabled.
+   *
+   * @throws {Error} Throws an error if neither a base folder, a partials folder nor a loader is set,
+   * or the loader cannot list its templates.
+   * @returns {Promise<Array<string>>} The ids of the cached templates: absolute paths for files.
+   */
+  async warmCache() {
+    if (!this.loader && !this.baseTemplateFolder && !this.partialsFolder) {
+      throw new Error('Set a base folder or a partials folder to warm the cache.');
+    }
+    if (!this.enableCache) {
+      return [];
+    }
+
+    const warmed = [];
+    for (const name of await this.#listTemplates('template')) {
+      const id = await this.#resolveTemplate(name, 'template');
+      await this.#loadCompiledTemplate(id);
+      warmed.push(id);
+    }
+    for (const name of await this.#listTemplates('partial')) {
+      const compiled = await this.#loadFilePartial(name);
+      if (compiled) {
+        warmed.push(compiled.name);
+      }
+    }
+
+    return warmed;
+  }
+
+  /**
+   * Watches the base, partials and locales folders, the folders of a loader that reads from disk and the
+   * files partials were registered from, and drops a file from the cache as soon as it changes. Partials loaded from files are reloaded
+   * right away, so `renderTemplateString` sees the change as well.
+   *
+   * Meant for development, typically together with `checkMtime: false`. Calling it again restarts
+   * the watchers with the current folders. The watchers do not keep the process alive.
+   *
+   * @throws {Error} Throws an error if there is nothing to watch.
+   */
+  watch() {
+    const loader = this.loader;
+    const folders = [
+      ...(loader && typeof loader.getFolders === 'function' ? loader.getFolders() : []),
+      !loader && this.baseTemplateFolder && this.#resolveFilePath('.'),
+      !loader && this.partialsFolder && this.#resolveFilePath(this.partialsFolder),
+      this.localesFolder && this.#resolveFilePath(this.localesFolder),
+      ...Array.from(this.#partialFiles.values(), file => path.dirname(file))
+    ].filter(Boolean);
+
+    if (folders.length === 0) {
+      throw new Error('Set a base folder, a partials folder or a locales folder to watch.');
+    }
+
+    this.unwatch();
+    const unique = Array.from(new Set(folders));
+    const outermost = unique.filter(folder => !unique.some(other => other !== folder && folder.startsWith(other + path.sep)));
+
+    for (const folder of outermost) {
+      this.#watchFolder(folder);
+    }
+  }
+
+  /**
+   * Watches a folder and its subfolders for `watch()`. Where `fs.watch` cannot watch recursively,
+   * such as on Linux before Node.js 20, every folder gets a watcher of its own and folders created
+   * later are watched as they appear.
+   *
+   * @param {string} folder - The absolute folder path.
+   * @private
+   */
+  #watchFolder(folder) {
+    const watched = new Map();
+    const add = (dir, recursive) => {
+      const watcher = fs.watch(dir, { recursive }, (event, filename) => {
+        const changed = filename ? path.join(dir, filename.toString()) : dir;
+        if (!recursive && event === 'rename') {
+          try {
+            if (fs.statSync(changed).isDirectory()) {
+              addTree(changed);
+            }
+          } catch {
+            // Removed: its watchers stop, so a folder created again under the name is watched anew
+            for (const [other, watcher] of watched) {
+              if (other === changed || other.startsWith(changed + path.sep)) {
+                watcher.close();
+                watched.delete(other);
+              }
+            }
+          }
+        }
+        this.#invalidateFile(changed);
+      });
+      // A watched folder that is removed or renamed stops being watched instead of crashing the process.
+      watcher.on('error', () => {
+        watcher.close();
+        watched.delete(dir);
+      });
+      watcher.unref();
+      this.#watchers.push(watcher);
+      return watcher;
+    };
+    const addTree = dir => {
+      if (watched.has(dir)) {
+        return;
+      }
+      watched.set(dir, add(dir, false));
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+          addTree(path.join(dir, entry.name));
+        }
+      }
+    };
+
+    try {
+      add(folder, true);
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      addTree(folder);
+    }
+  }
+
+  /**
+   * Stops the watchers started by `watch()`.
+   */
+  unwatch() {
+    for (const watcher of this.#watchers) {
+      watcher.close();
+    }
+    this.#watchers = [];
+  }
+
+  /**
+   * Forgets everything cached from a changed file or folder: template cache entries, partials loaded
+   * from it, which are reloaded, and message catalogs.
+   *
+   * @param {string} changedPath - The absolute path of the changed file or folder.
+   * @private
+   */
+  #invalidateFile(changedPath) {
+    const affects = file => file === changedPath || file.startsWith(changedPath + path.sep);
+    // A new file may take over a name, e.g. a theme override, so names are resolved again.
+    this.#resolutions.clear();
+
+    for (const key of Array.from(this.templateCache.keys())) {
+      if (affects(key)) {
+        this.templateCache.delete(key);
+      }
+    }
+
+    // A partial that cannot be read, e.g. halfway through an editor's save, keeps its last content
+    // until the next change event.
+    for (const [name, compiled] of this.#filePartials) {
+      if (compiled.name && affects(compiled.name)) {
+        this.#loadFilePartial(name).catch(() => {});
+      }
+    }
+    for (const [name, file] of this.#partialFiles) {
+      if (affects(file)) {
+        this.#getFolderLoader().load(file).then(template => {
+          if (this.#partialFiles.get(name) === file) {
+            this.partials.set(name, template);
+          }
+        }, () => {});
+      }
+    }
+
+    if (this.localesFolder && affects(this.#resolveFilePath(this.localesFolder))) {
+      this.#fileCatalogs.clear();
+    } else if (this.localesFolder && path.dirname(changedPath) === this.#resolveFilePath(this.localesFolder)) {
+      this.#fileCatalogs.delete(path.basename(changedPath, '.json'));
+    }
+  }
+
+  /**
+   * Retrieves the value of a nested property from an object based on a dot-separated path string.
+   *
+   * @param {Object} obj - The object from which to retrieve the nested value.
+   * @param {string|Array<string>} pathKey - A dot-separated string, or an array of path segments, representing the path to the desired property.
+   * @returns {*} The value of the nested property, or `undefined` if the path does not exist or the input is invalid.
+   */
+  #getNestedValue(obj, pathKey) {
+    if (obj == null || (typeof pathKey !== 'string' && !Array.isArray(pathKey))) {
+      return undefined;
+    }
+    const parts = Array.isArray(pathKey) ? pathKey : pathKey.split('.');
+    return parts.reduce((acc, part) => {
+      if (acc == null) {
+        return undefined;
+      }
+      return this.secure ? this.#readOwnProperty(acc, part) : acc[part];
+    }, obj);
+  }
+
+  /**
+   * Checks whether an error is a `FORBIDDEN_PROPERTY` error from `#readOwnProperty` that has no position yet.
+   *
+   * @param {*} error - The error.
+   * @returns {boolean} Whether the caller should throw it again with its own position.
+   * @private
+   */
+  #isForbidden(error) {
+    return error instanceof TemplateError && error.code === 'FORBIDDEN_PROPERTY' && error.line === null;
+  }
+
+  /**
+   * Reads a property in secure mode. Only own data properties are read; a property that exists
+   * but is inherited or a getter, such as `__proto__` or `constructor`, is refused.
+   *
+   * @param {*} target - The value to read from.
+   * @param {string} key - The property name.
+   * @returns {*} The property's value, or `undefined` if there is no such property.
+   * @throws {TemplateError} With code `FORBIDDEN_PROPERTY`, if the property may not be read.
+   * @private
+   */
+  #readOwnProperty(target, key) {
+    const object = Object(target);
+    const descriptor = Object.getOwnPropertyDescriptor(object, key);
+    if (descriptor && 'value' in descriptor) {
+      return descriptor.value;
+    }
+    if (descriptor || key in object) {
+      const kind = descriptor ? 'a getter' : 'not an own property';
+      throw new TemplateError(`"${key}" is ${kind}; secure mode only reads own data properties.`, { code: 'FORBIDDEN_PROPERTY' });
+    }
+    return undefined;
+  }
+
+  /**
+   * Escapes special HTML characters in a given value to prevent XSS attacks.
+   * Converts the value to a string and replaces the following characters:
+   * - `&` with `&amp;`
+   * - `<` with `&lt;`
+   * - `>` with `&gt;`
+   * - `"` with `&quot;`
+   * - `'` with `&#39;`
+   *
+   * @param {*} value - The value to be escaped. It will be converted to a string.
+   * @returns {string} The escaped string with special HTML characters replaced.
+   * Values marked safe by a filter are returned unchanged.
+   * @private
+   */
+  #escapeHtml(value) {
+    if (value instanceof SafeString) {
+      return value.toString();
+    }
+    const stringValue = this.#stringifyValue(value);
+    return stringValue
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Converts a given value into a string representation.
+   *
+   * @param {*} value - The value to be converted. Can be of any type.
+   * @returns {string} The string representation of the value. Returns an empty string
+   * if the value is `null`, `undefined`, or if an error occurs during stringification.
+   */
+  #stringifyValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'string') {
+      return value;
+    }
+    if (value instanceof SafeString) {
+      return value.toString();
+    }
+    if (typeof value === 'number' || typeof value === 'bigint' || typeof value === 'boolean') {
+      return String(value);
+    }
+    return this.#toJson(value) ?? '';
+  }
+
+  /**
+   * Serializes a value to JSON. In secure mode, objects and arrays are serialized from their own data
+   * properties only, read like expressions read them, so a getter is refused instead of run.
+   *
+   * @param {*} value - The value to serialize.
+   * @param {number|string} [indent] - The indentation, as for `JSON.stringify`.
+   * @returns {string|undefined} The JSON, or `undefined` if the value cannot be serialized, e.g. a circular structure.
+   * @throws {TemplateError} With code `FORBIDDEN_PROPERTY`, if an object has a getter in secure mode.
+   * @private
+   */
+  #toJson(value, indent) {
+    try {
+      return JSON.stringify(this.secure ? this.#ownData(value, new Set()) : value, null, indent);
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        throw error;
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Copies a value's own enumerable data properties, deeply, for serializing in secure mode. Functions are
+   * left out of objects, as `JSON.stringify` would, so a `toJSON` from the bindings is never called.
+   * Dates keep their built-in `toJSON`.
+   *
+   * @param {*} value - The value to copy.
+   * @param {Set<Object>} ancestors - The objects being copied around this one, to detect circular structures.
+   * @returns {*} The copy.
+   * @throws {TemplateError} With code `FORBIDDEN_PROPERTY`, if a property is a getter.
+   * @throws {TypeError} If the structure is circular.
+   * @private
+   */
+  #ownData(value, ancestors) {
+    if (value === null || typeof value !== 'object' || value instanceof Date || value instanceof SafeString) {
+      return value;
+    }
+    if (ancestors.has(value)) {
+      throw new TypeError('Cannot serialize a circular structure.');
+    }
+
+    ancestors.add(value);
+    let copy;
+    if (Array.isArray(value)) {
+      copy = [];
+      for (let index = 0; index < value.length; index++) {
+        copy.push(this.#ownData(this.#readOwnProperty(value, String(index)), ancestors));
+      }
+    } else {
+      copy = {};
+      for (const key of Object.keys(value)) {
+        const item = this.#readOwnProperty(value, key);
+        if (typeof item !== 'function') {
+          copy[key] = this.#ownData(item, ancestors);
+        }
+      }
+    }
+    ancestors.delete(value);
+    return copy;
+  }
+
+  /**
+   * Resolves the absolute file path for a given template file path.
+   * If the provided file path is already absolute, it is returned as is.
+   * Otherwise, it resolves the path relative to the base template folder
+   * or the current working directory.
+   *
+   * @param {string} filePath - The file path to resolve. Must be a non-empty string.
+   * @returns {string} The resolved absolute file path.
+   * @throws {Error} If the provided file path is not a non-empty string.
+   */
+  #resolveFilePath(filePath) {
+    if (typeof filePath !== 'string' || !filePath.trim()) {
+      throw new Error('Template path must be a non-empty string.');
+    }
+
+    const trimmed = filePath.trim();
+
+    if (path.isAbsolute(trimmed)) {
+      return trimmed;
+    }
+
+    if (this.baseTemplateFolder) {
+      const baseRoot = path.isAbsolute(this.baseTemplateFolder)
+        ? this.baseTemplateFolder
+        : path.join(process.cwd(), this.baseTemplateFolder);
+      return path.join(baseRoot, trimmed);
+    }
+
+    return path.join(process.cwd(), trimmed);
+  }
+
+  /**
+   * Loads a template through the loader and returns its cache entry.
+   * When caching is enabled the entry is stored in `templateCache` keyed by the template id,
+   * together with the template's version (a file's mtime) and, once compiled, its render function.
+   * A changed version replaces the entry, which drops the stale compiled template with it.
+   * With `checkMtime` off, or a loader without `getVersion`, a cached entry is returned without asking the loader.
+   *
+   * @param {string} id - The template id from the loader's `resolve`.
+   * @returns {Promise<{content: string, version: *, compiled: (Object|null)}>} The cache entry.
+   * @throws {Error} - Throws an error if the template cannot be loaded.
+   * @private
+   */
+  async #readTemplateEntry(id) {
+    const loader = this.#getLoader();
+    const load = async () => {
+      const content = await loader.load(id);
+      if (typeof content !== 'string') {
+        throw new Error(`The loader returned no source for template "${id}".`);
+      }
+      return content;
+    };
+
+    if (!this.enableCache) {
+      return { content: await load(), version: null, compiled: null };
+    }
+
+    const cached = this.templateCache.get(id);
+    if (cached && (!this.checkMtime || typeof loader.getVersion !== 'function')) {
+      this.#cacheStats.hits++;
+      this.#emit('cacheHit', { template: id });
+      return cached;
+    }
+    try {
+      const started = performance.now();
+      const version = typeof loader.getVersion === 'function' ? await loader.getVersion(id) : null;
+      if (cached && cached.version === version) {
+        this.#cacheStats.hits++;
+        this.#emit('cacheHit', { template: id });
+        return cached;
+      }
+      this.#cacheStats.misses++;
+      const entry = { content: await load(), version, compiled: null };
+      this.templateCache.set(id, entry);
+      this.#emit('cacheMiss', { template: id, duration: performance.now() - started });
+      return entry;
+    } catch (error) {
+      this.templateCache.delete(id);
+      throw error;
+    }
+  }
+
+  /**
+   * Loads and compiles a template. The compiled template is kept on the cache entry,
+   * so a template is only parsed again after its version changes.
+   *
+   * @param {string} id - The template id from the loader's `resolve`.
+   * @returns {Promise<Object>} The compiled template, named by its id.
+   * @private
+   */
+  async #loadCompiledTemplate(id) {
+    const entry = await this.#readTemplateEntry(id);
+    if (!entry.compiled) {
+      entry.compiled = this.#compile(entry.content, id);
+    }
+    return entry.compiled;
+  }
+
+  /**
+   * Reports a template problem. In strict mode it is thrown as a `TemplateError`,
+   * otherwise it is passed to the `onWarning` hook, if there is one. During `analyze`
+   * it is collected instead.
+   *
+   * @param {string} code - The error code.
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Where the problem is; see `#createError`.
+   * @throws {TemplateError} In strict mode.
+   * @private
+   */
+  #report(code, message, details = {}) {
+    if (this.#collectedProblems) {
+      this.#collectedProblems.push(this.#createError(code, message, details));
+      return;
+    }
+    if (!this.strict && !this.onWarning) {
+      return;
+    }
+
+    const error = this.#createError(code, message, details);
+    if (this.strict) {
+      throw error;
+    }
+    this.onWarning(error);
+  }
+
+  /**
+   * Creates a `TemplateError`, working out the line, column and code frame from the source offset.
+   *
+   * @param {string} code - The error code.
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Where the problem is.
+   * @param {Object} [details.origin] - The template the problem is in, with `source` and `name` properties.
+   * @param {number} [details.start] - The offset of the offending tag in the source.
+   * @param {*} [details.cause] - The underlying error.
+   * @returns {TemplateError} The error.
+   * @private
+   */
+  #createError(code, message, { origin = {}, start, cause } = {}) {
+    const { source, name = null } = origin;
+    const { line, column } = this.#position(source, start);
+    const frame = line === null ? '' : this.#codeFrame(source, line, column);
+
+    return new TemplateError(message, { code, template: name, line, column, frame, cause });
+  }
+
+  /**
+   * Works out the line and column of a source offset.
+   *
+   * @param {string} [source] - The template source.
+   * @param {number} [start] - The offset.
+   * @returns {{line: (number|null), column: (number|null)}} The 1-based position, or nulls if either is missing.
+   * @private
+   */
+  #position(source, start) {
+    if (typeof source !== 'string' || typeof start !== 'number') {
+      return { line: null, column: null };
+    }
+
+    const before = source.slice(0, start).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+
+  /**
+   * Builds a code frame showing the lines around a position, with the position marked.
+   *
+   * @param {string} source - The template source.
+   * @param {number} line - The 1-based line.
+   * @param {number} column - The 1-based column.
+   * @returns {string} The code frame.
+   * @private
+   */
+  #codeFrame(source, line, column) {
+    const lines = source.split('\n');
+    const first = Math.max(1, line - 2);
+    const last = Math.min(lines.length, line + 2);
+    const width = String(last).length;
+    const output = [];
+
+    for (let current = first; current <= last; current++) {
+      const marker = current === line ? '>' : ' ';
+      output.push(`${marker} ${String(current).padStart(width)} | ${lines[current - 1]}`);
+      if (current === line) {
+        output.push(`  ${' '.repeat(width)} | ${' '.repeat(column - 1)}^`);
+      }
+    }
+
+    return output.join('\n');
+  }
+
+  /**
+   * Scans forward from `from` for the closing delimiter of a tag, skipping over
+   * quoted strings so a `}}` inside a string literal does not end the tag.
+   *
+   * @param {string} source - The template source.
+   * @param {number} from - The index right after the opening delimiter.
+   * @param {string} closer - The closing delimiter to look for.
+   * @returns {number} The index of the closing delimiter, or `-1` if there is none.
+   * @private
+   */
+  #findTagEnd(source, from, closer) {
+    let quote = null;
+    for (let i = from; i < source.length; i++) {
+      const char = source[i];
+      if (quote) {
+        if (char === '\\') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+        continue;
+      }
+      if (char === '"' || char === "'") {
+        quote = char;
+        continue;
+      }
+      if (source.startsWith(closer, i)) {
+        return i;
+      }
+    }
+    // An unbalanced quote (e.g. an apostrophe in stray text) should not swallow the rest of the template.
+    return quote ? source.indexOf(closer, from) : -1;
+  }
+
+  /**
+   * Classifies the content between a tag's delimiters.
+   *
+   * @param {string} content - The raw content between the delimiters.
+   * @param {Object} tag - The tag's position and form.
+   * @param {boolean} tag.triple - Whether the tag used triple braces.
+   * @param {number} tag.start - The index of the opening delimiter.
+   * @param {number} tag.end - The index right after the closing delimiter.
+   * @param {string} tag.source - The full tag text including delimiters.
+   * @returns {Object} The tag token.
+   * @private
+   */
+  #classifyTag(content, { triple, start, end, source }) {
+    const body = content.trim();
+    const base = { start, end, source };
+
+    if (triple) {
+      return { ...base, type: 'output', raw: true, expression: body };
+    }
+
+    if (body === 'else' || body.startsWith('else ')) {
+      return { ...base, type: 'else', expression: body.slice(4).trim() };
+    }
+
+    if (body.startsWith('#>')) {
+      return { ...base, type: 'openPartial', expression: body.slice(2).trim() };
+    }
+
+    if (body.startsWith('#')) {
+      const match = body.match(/^#([\w-]+)\s*([\s\S]*)$/);
+      if (match) {
+        return { ...base, type: 'open', name: match[1], expression: match[2].trim() };
+      }
+    } else if (body.startsWith('/')) {
+      return { ...base, type: 'close', name: body.slice(1).trim() };
+    } else if (body.startsWith('>')) {
+      return { ...base, type: 'partial', expression: body.slice(1).trim() };
+    }
+
+    return { ...base, type: 'output', raw: false, expression: body };
+  }
+
+  /**
+   * Splits a template source into text and tag tokens.
+   * Each token records its `start` offset so later stages can point back into the source.
+   *
+   * Besides tags, it recognises:
+   * - comments, `{{! text }}` and `{{!-- text --}}`; only the second form may contain `}}`,
+   * - raw blocks, `{{{{raw}}}} ... {{{{/raw}}}}`, whose content is kept as text without looking for tags,
+   * - `~` next to a delimiter (`{{~ name ~}}`), which removes the whitespace before or after the tag.
+   *
+   * @param {string} source - The template source.
+   * @returns {Array<Object>} The list of tokens in source order.
+   * @private
+   */
+  #tokenize(source) {
+    const [open, close] = this.delimiters;
+    const tripleOpen = open + open[open.length - 1];
+    const tripleClose = close[0] + close;
+    const rawOpen = tripleOpen + open[open.length - 1];
+    const rawClose = close[0] + tripleClose;
+    const escapedClose = close.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const commentEnd = new RegExp(`--(~?)${escapedClose}`, 'g');
+
+    const tokens = [];
+    let position = 0;
+
+    while (position < source.length) {
+      const start = source.indexOf(open, position);
+      if (start === -1) {
+        tokens.push({ type: 'text', value: source.slice(position), start: position });
+        break;
+      }
+      if (start > position) {
+        tokens.push({ type: 'text', value: source.slice(position, start), start: position });
+      }
+
+      if (source.startsWith(rawOpen, start)) {
+        const headerEnd = source.indexOf(rawClose, start);
+        if (headerEnd !== -1 && source.slice(start + rawOpen.length, headerEnd).trim() === 'raw') {
+          const contentStart = headerEnd + rawClose.length;
+          const footer = `${rawOpen}/raw${rawClose}`;
+          const contentEnd = source.indexOf(footer, contentStart);
+          if (contentEnd === -1) {
+            tokens.push({ type: 'text', value: source.slice(start), start, unclosedRaw: true });
+            break;
+          }
+          tokens.push({ type: 'text', value: source.slice(contentStart, contentEnd), start: contentStart, verbatim: true });
+          position = contentEnd + footer.length;
+          continue;
+        }
+      }
+
+      const trimLeft = source.startsWith('~', start + open.length);
+      const afterOpen = start + open.length + (trimLeft ? 1 : 0);
+
+      if (source.startsWith('!', afterOpen)) {
+        let end;
+        let trimRight;
+        if (source.startsWith('!--', afterOpen)) {
+          commentEnd.lastIndex = afterOpen + 3;
+          const match = commentEnd.exec(source);
+          end = match ? match.index + match[0].length : -1;
+          trimRight = Boolean(match && match[1]);
+        } else {
+          const closeAt = source.indexOf(close, afterOpen);
+          end = closeAt === -1 ? -1 : closeAt + close.length;
+          trimRight = closeAt !== -1 && source[closeAt - 1] === '~';
+        }
+        if (end === -1) {
+          tokens.push({ type: 'text', value: source.slice(start), start, unterminated: true });
+          break;
+        }
+        tokens.push({ type: 'comment', start, end, source: source.slice(start, end), trimLeft, trimRight });
+        position = end;
+        continue;
+      }
+
+      const triple = source.startsWith(tripleOpen, start);
+      const closer = triple ? tripleClose : close;
+      const contentStart = start + (triple ? tripleOpen.length : open.length);
+      const contentEnd = this.#findTagEnd(source, contentStart, closer);
+
+      if (contentEnd === -1) {
+        tokens.push({ type: 'text', value: source.slice(start), start, unterminated: true });
+        break;
+      }
+
+      let content = source.slice(contentStart, contentEnd);
+      const tagTrimLeft = content.startsWith('~');
+      const tagTrimRight = content.length > (tagTrimLeft ? 1 : 0) && content.endsWith('~');
+      content = content.slice(tagTrimLeft ? 1 : 0, tagTrimRight ? -1 : undefined);
+
+      const end = contentEnd + closer.length;
+      tokens.push({
+        ...this.#classifyTag(content, {
+          triple,
+          start,
+          end,
+          source: source.slice(start, end)
+        }),
+        trimLeft: tagTrimLeft,
+        trimRight: tagTrimRight
+      });
+      position = end;
+    }
+
+    return this.#trimWhitespace(tokens);
+  }
+
+  /**
+   * Applies `~` whitespace control: removes the whitespace, line breaks included, at the end of the
+   * text before a `{{~` tag and at the start of the text after a `~}}` tag. Raw block content is kept.
+   *
+   * @param {Array<Object>} tokens - The tokens from `#tokenize`.
+   * @returns {Array<Object>} The tokens, without text that was trimmed away entirely.
+   * @private
+   */
+  #trimWhitespace(tokens) {
+    tokens.forEach((token, index) => {
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+
+      if (token.trimLeft && previous && previous.type === 'text' && !previous.verbatim) {
+        previous.value = previous.value.replace(/\s+$/, '');
+      }
+      if (token.trimRight && next && next.type === 'text' && !next.verbatim) {
+        const trimmed = next.value.replace(/^\s+/, '');
+        next.start += next.value.length - trimmed.length;
+        next.value = trimmed;
+      }
+    });
+
+    return tokens.filter(token => token.type !== 'text' || token.value !== '' || token.unterminated || token.unclosedRaw);
+  }
+
+  /**
+   * Splits an expression into lexical tokens: paths, string and number literals, and operators.
+   *
+   * @param {string} source - The expression source.
+   * @returns {Array<Object>} The expression tokens.
+   * @throws {Error} If the expression contains an unexpected character or an unterminated string.
+   * @private
+   */
+  #lexExpression(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        let value = '';
+        let j = i + 1;
+        while (j < source.length && source[j] !== char) {
+          if (source[j] === '\\' && j + 1 < source.length) {
+            j++;
+          }
+          value += source[j];
+          j++;
+        }
+        if (j >= source.length) {
+          throw new Error(`Unterminated string in expression "${source}".`);
+        }
+        tokens.push({ type: 'string', value });
+        i = j + 1;
+        continue;
+      }
+
+      const rest = source.slice(i);
+      const previous = tokens[tokens.length - 1];
+      const allowsSign = !previous || (previous.type === 'operator' && previous.value !== ')');
+      const number = rest.match(allowsSign ? /^-?\d+(?:\.\d+)?(?![\w$.])/ : /^\d+(?:\.\d+)?(?![\w$.])/);
+      if (number) {
+        tokens.push({ type: 'number', value: Number(number[0]) });
+        i += number[0].length;
+        continue;
+      }
+
+      const pathMatch = rest.match(/^(?:\.\.\/)*@?[\w$]+(?:\.[\w$]+)*/);
+      if (pathMatch) {
+        tokens.push({ type: 'path', value: pathMatch[0] });
+        i += pathMatch[0].length;
+        continue;
+      }
+
+      const operator = EXPRESSION_OPERATORS.find(op => rest.startsWith(op));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator });
+        i += operator.length;
+        continue;
+      }
+
+      throw new Error(`Unexpected "${char}" in expression "${source}".`);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parses an expression into an expression tree.
+   *
+   * Grammar, from lowest to highest precedence:
+   * - `pipeline := expression ( '|' name ( ':' unary ( ',' unary )* )? )*`
+   * - `expression := and ( '||' and )*`
+   * - `and := equality ( '&&' equality )*`
+   * - `equality := comparison ( ( '==' | '!=' | '===' | '!==' ) comparison )*`
+   * - `comparison := unary ( ( '<' | '>' | '<=' | '>=' ) unary )*`
+   * - `unary := '!' unary | primary`
+   * - `primary := string | number | path | '(' name unary+ ')' | '(' pipeline ')'`
+   *
+   * `(name arg...)` is a subexpression calling the filter `name` with the arguments, so
+   * `(sum items "price")` is the same as `(items | sum:"price")`. A name needs at least one argument;
+   * `(name)` on its own is a parenthesized path.
+   *
+   * With `withArguments`, the source is parsed as the arguments of a helper tag such as `{{t}}`:
+   * `arguments := unary* ( name '=' unary )*`.
+   *
+   * The tree is evaluated by compiled closures; template expressions are never passed to `eval`.
+   *
+   * @param {string} source - The expression source.
+   * @param {boolean} [withArguments=false] - Whether to parse a list of arguments.
+   * @returns {Object} The expression tree, or `{positional: Array<Object>, hash: Object<string, Object>}`
+   * with `withArguments`.
+   * @throws {Error} If the expression is empty or malformed.
+   * @private
+   */
+  #parseExpression(source, withArguments = false) {
+    const tokens = this.#lexExpression(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOperator = value => peek() && peek().type === 'operator' && peek().value === value;
+
+    const parsePrimary = () => {
+      const token = tokens[position++];
+      if (!token) {
+        throw new Error(`Unexpected end of expression "${source}".`);
+      }
+      if (token.type === 'string' || token.type === 'number') {
+        return { type: 'literal', value: token.value };
+      }
+      if (token.type === 'path') {
+        return this.#parsePath(token.value);
+      }
+      if (token.value === '(') {
+        const inner = startsCall() ? parseCall() : parsePipeline();
+        if (!isOperator(')')) {
+          throw new Error(`Missing ")" in expression "${source}".`);
+        }
+        position++;
+        return inner;
+      }
+      throw new Error(`Unexpected "${token.value}" in expression "${source}".`);
+    };
+
+    const startsCall = () => {
+      const [name, next] = tokens.slice(position, position + 2);
+      return Boolean(name && next)
+        && name.type === 'path' && /^[A-Za-z_$][\w$]*$/.test(name.value)
+        && (next.type !== 'operator' || next.value === '(' || next.value === '!');
+    };
+
+    const parseCall = () => {
+      const name = tokens[position++].value;
+      const args = [];
+      while (peek() && !isOperator(')')) {
+        args.push(parseUnary());
+      }
+      return { type: 'filter', name, input: args[0], args: args.slice(1) };
+    };
+
+    const parseUnary = () => {
+      if (isOperator('!')) {
+        position++;
+        return { type: 'not', argument: parseUnary() };
+      }
+      return parsePrimary();
+    };
+
+    const parseBinary = level => {
+      if (level >= BINARY_PRECEDENCE.length) {
+        return parseUnary();
+      }
+      let node = parseBinary(level + 1);
+      while (peek() && peek().type === 'operator' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+        const operator = tokens[position++].value;
+        node = { type: 'binary', operator, left: node, right: parseBinary(level + 1) };
+      }
+      return node;
+    };
+
+    const parsePipeline = () => {
+      let node = parseBinary(0);
+      while (isOperator('|')) {
+        position++;
+        const nameToken = tokens[position++];
+        if (!nameToken || nameToken.type !== 'path' || !/^[A-Za-z_$][\w$]*$/.test(nameToken.value)) {
+          throw new Error(`Expected a filter name in expression "${source}".`);
+        }
+        const args = [];
+        if (isOperator(':')) {
+          do {
+            position++;
+            args.push(parseUnary());
+          } while (isOperator(','));
+        }
+        node = { type: 'filter', name: nameToken.value, input: node, args };
+      }
+      return node;
+    };
+
+    const parseArguments = () => {
+      const args = { positional: [], hash: {} };
+      while (position < tokens.length) {
+        const token = peek();
+        const next = tokens[position + 1];
+        if (token.type === 'path' && next && next.type === 'operator' && next.value === '=') {
+          if (!/^[A-Za-z_$][\w$]*$/.test(token.value)) {
+            throw new Error(`Invalid argument name "${token.value}" in "${source}".`);
+          }
+          position += 2;
+          args.hash[token.value] = parseUnary();
+        } else if (Object.keys(args.hash).length > 0) {
+          throw new Error(`Positional arguments must come before named arguments in "${source}".`);
+        } else {
+          args.positional.push(parseUnary());
+        }
+      }
+      return args;
+    };
+
+    if (withArguments) {
+      return parseArguments();
+    }
+
+    const tree = parsePipeline();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${tokens[position].value}" in expression "${source}".`);
+    }
+    return tree;
+  }
+
+  /**
+   * Parses a path token into a path node.
+   *
+   * - `this` / `this.key` reads from the current scope only.
+   * - `@index`, `@order` and `@root.key` read loop data and the root bindings.
+   * - `../key` starts the lookup in the enclosing scope.
+   * - Any other dotted key is looked up in the current scope, then each enclosing scope.
+   *
+   * @param {string} value - The path text.
+   * @returns {Object} The path node, or a literal node for `true`, `false`, `null` and `undefined`.
+   * @private
+   */
+  #parsePath(value) {
+    if (Object.prototype.hasOwnProperty.call(EXPRESSION_LITERALS, value)) {
+      return { type: 'literal', value: EXPRESSION_LITERALS[value] };
+    }
+
+    let rest = value;
+    let up = 0;
+    while (rest.startsWith('../')) {
+      rest = rest.slice(3);
+      up++;
+    }
+
+    const parts = rest.split('.');
+    const node = { type: 'path', original: value, up, scoped: false, data: null, parts };
+
+    if (parts[0] === 'this') {
+      node.scoped = true;
+      node.parts = parts.slice(1);
+    } else if (parts[0].startsWith('@')) {
+      node.data = parts[0].slice(1);
+      node.parts = parts.slice(1);
+    }
+
+    return node;
+  }
+
+  /**
+   * Reports a tag the parser cannot make sense of and returns a text node that reproduces it
+   * exactly as it was written, so it is kept in the output rather than dropped.
+   *
+   * @param {Object} token - The tag token.
+   * @param {Object} origin - The template being parsed, with `source` and `name` properties.
+   * @param {string} code - The error code.
+   * @param {string} message - The error message.
+   * @param {*} [cause] - The underlying error.
+   * @returns {Object} A text node.
+   * @throws {TemplateError} In strict mode.
+   * @private
+   */
+  #rejectTag(token, origin, code, message, cause) {
+    this.#report(code, message, { origin, start: token.start, cause });
+    return { type: 'text', value: token.source, start: token.start };
+  }
+
+  /**
+   * Parses a template source into an abstract syntax tree.
+   * Blocks are matched with a stack, so nested `{{#if}}` and `{{#each}}` blocks
+   * close on their own `{{/if}}` and `{{/each}}` tags.
+   *
+   * @param {string} source - The template source.
+   * @param {string|null} [name=null] - The template's file path, used in error messages.
+   * @returns {{type: 'root', body: Array<Object>, extends: (string|null)}} The root node, with the
+   * layout path named by a top-level `{{#extends}}` tag if there is one.
+   * @throws {TemplateError} In strict mode, for unclosed blocks and malformed tags.
+   * @private
+   */
+  #parse(source, name = null) {
+    const origin = { source, name };
+    const root = { type: 'root', body: [], extends: null };
+    const stack = [{ node: root, body: root.body, name: 'root', start: 0 }];
+
+    for (const token of this.#tokenize(source)) {
+      const frame = stack[stack.length - 1];
+
+      switch (token.type) {
+        case 'text':
+          if (token.unterminated) {
+            this.#report('UNCLOSED_TAG', 'Unclosed tag.', { origin, start: token.start });
+          }
+          if (token.unclosedRaw) {
+            this.#report('UNCLOSED_BLOCK', 'Unclosed {{{{raw}}}} block.', { origin, start: token.start });
+          }
+          frame.body.push({ type: 'text', value: token.value, start: token.start });
+          break;
+
+        case 'output':
+          if (!token.raw && token.expression === 'empty' && frame.node.type === 'each' && !frame.node.inverse) {
+            frame.node.inverse = [];
+            frame.body = frame.node.inverse;
+            break;
+          }
+          if (token.expression === 'super' && stack.some(open => open.name === 'block')) {
+            frame.body.push({ type: 'super', start: token.start });
+            break;
+          }
+          if (!token.raw && token.expression === 'empty') {
+            this.#report('UNEXPECTED_EMPTY', '{{empty}} is only allowed once, directly inside an {{#each}} block.', {
+              origin,
+              start: token.start
+            });
+          }
+          frame.body.push(this.#parseOutput(token, origin));
+          break;
+
+        case 'partial':
+          frame.body.push(this.#parsePartial(token, origin));
+          break;
+
+        case 'openPartial': {
+          const node = this.#parsePartial(token, origin, true);
+          frame.body.push(node);
+          if (node.type !== 'text') {
+            stack.push({ node, body: node.body, name: node.name, start: token.start });
+          }
+          break;
+        }
+
+        case 'open': {
+          const node = token.name === 'extends' && (stack.length > 1 || root.extends)
+            ? this.#rejectTag(token, origin, 'INVALID_EXTENDS', '{{#extends}} must be the first block of a template and may only appear once.')
+            : this.#parseBlock(token, origin);
+          if (node.type === 'extends') {
+            root.extends = node.path;
+          }
+          if (node.type === 'slot' && (frame.node.type !== 'partialBlock' || frame.node.name.startsWith('@'))) {
+            this.#report('INVALID_BLOCK', '{{#slot}} must be placed directly inside a block partial ({{#> name}}).', {
+              origin,
+              start: token.start
+            });
+          }
+          frame.body.push(node);
+          if (node.type !== 'text') {
+            stack.push({ node, body: node.body, name: node.type, start: token.start });
+          }
+          break;
+        }
+
+        case 'else':
+          this.#parseElse(frame, token, origin);
+          break;
+
+        case 'close':
+          this.#closeBlock(stack, token, origin);
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    while (stack.length > 1) {
+      const { name: blockName, start } = stack.pop();
+      // `{{#extends}}` may wrap the rest of the template, so its closing tag is optional.
+      if (blockName !== 'extends') {
+        this.#report('UNCLOSED_BLOCK', `Unclosed {{#${blockName}}} block.`, { origin, start });
+      }
+    }
+
+    return root;
+  }
+
+  /**
+   * Parses an output tag (`{{ expression }}` or `{{{ expression }}}`), or a translation (`{{t "key" count=n}}`).
+   *
+   * @param {Object} token - The output token.
+   * @param {Object} origin - The template being parsed.
+   * @returns {Object} An output node, or a text node if the expression cannot be parsed.
+   * @private
+   */
+  #parseOutput(token, origin) {
+    try {
+      const translation = token.expression.match(/^t\s+(?=["'(@.\w])([\s\S]*)$/);
+      if (translation) {
+        return { type: 'output', raw: token.raw, expression: this.#parseTranslation(translation[1]), start: token.start };
+      }
+      return { type: 'output', raw: token.raw, expression: this.#parseExpression(token.expression), start: token.start };
+    } catch (error) {
+      return this.#rejectTag(token, origin, 'INVALID_EXPRESSION', error.message, error);
+    }
+  }
+
+  /**
+   * Parses the arguments of a `{{t "key" name=value}}` tag into a translate node.
+   *
+   * @param {string} source - The tag content after `t`.
+   * @returns {{type: 'translate', key: Object, values: Object<string, Object>}} The translate node.
+   * @throws {Error} If the arguments are malformed or there is not exactly one key.
+   * @private
+   */
+  #parseTranslation(source) {
+    const { positional, hash } = this.#parseExpression(source, true);
+    if (positional.length !== 1) {
+      throw new Error(`{{t}} expects one message key followed by named values, got "${source}".`);
+    }
+    return { type: 'translate', key: positional[0], values: hash };
+  }
+
+  /**
+   * Parses a partial tag (`{{> name }}`) or the opening tag of a block partial (`{{#> name }}`).
+   *
+   * The name may be followed by a context expression and `key=value` hash arguments, as in
+   * `{{> card item size="lg" }}`. A name starting with `@` refers to a slot of the enclosing
+   * block partial, such as `{{> @body }}`, and takes no arguments.
+   *
+   * @param {Object} token - The partial token.
+   * @param {Object} origin - The template being parsed.
+   * @param {boolean} [block=false] - Whether the tag opens a block partial.
+   * @returns {Object} A partial or partial block node, or a text node if the tag is invalid.
+   * @private
+   */
+  #parsePartial(token, origin, block = false) {
+    const match = token.expression.match(/^(@[\w-]+|[\w./-]+)(?:\s+([\s\S]*))?$/);
+    if (!match) {
+      return this.#rejectTag(token, origin, 'INVALID_PARTIAL', `Invalid partial name "${token.expression}".`);
+    }
+
+    const [, name, args = ''] = match;
+    if (name.startsWith('@') && args) {
+      return this.#rejectTag(token, origin, 'INVALID_PARTIAL', `Slot {{> ${name}}} does not take arguments.`);
+    }
+
+    let positional = [];
+    let hash = {};
+    if (args) {
+      try {
+        ({ positional, hash } = this.#parseExpression(args, true));
+      } catch (error) {
+        return this.#rejectTag(token, origin, 'INVALID_EXPRESSION', error.message, error);
+      }
+      if (positional.length > 1) {
+        return this.#rejectTag(token, origin, 'INVALID_PARTIAL', `Partial "${name}" takes at most one context before its named arguments.`);
+      }
+    }
+
+    const node = { type: 'partial', name, context: positional[0] || null, hash, start: token.start };
+    return block ? { ...node, type: 'partialBlock', body: [] } : node;
+  }
+
+  /**
+   * Parses a block opening tag (`{{#if}}`, `{{#unless}}`, `{{#each}}`, `{{#with}}`, `{{#let}}`, `{{#extends}}`,
+   * `{{#block}}`, `{{#fragment}}`, `{{#slot}}` or `{{#cache}}`).
+   *
+   * @param {Object} token - The open token.
+   * @param {Object} origin - The template being parsed.
+   * @returns {Object} A block node, or a text node for unknown blocks and malformed expressions.
+   * @private
+   */
+  #parseBlock(token, origin) {
+    if (!BLOCK_TYPES.has(token.name)) {
+      return this.#rejectTag(token, origin, 'UNKNOWN_BLOCK', `Unknown block {{#${token.name}}}.`);
+    }
+
+    if (token.name === 'extends') {
+      const match = token.expression.match(/^(?:"([^"]+)"|'([^']+)')$/);
+      if (!match) {
+        return this.#rejectTag(token, origin, 'INVALID_EXTENDS', '{{#extends}} expects a quoted template path.');
+      }
+      return { type: 'extends', path: match[1] || match[2], body: [], start: token.start };
+    }
+
+    if (token.name === 'block' || token.name === 'fragment' || token.name === 'slot') {
+      const match = token.expression.match(/^(?:"([^"]+)"|'([^']+)'|([\w-]+))$/);
+      if (!match) {
+        return this.#rejectTag(token, origin, 'INVALID_BLOCK', `{{#${token.name}}} expects a name.`);
+      }
+      return { type: token.name, name: match[1] || match[2] || match[3], body: [], start: token.start };
+    }
+
+    if (token.name === 'cache') {
+      return this.#parseCache(token, origin);
+    }
+    if (token.name === 'let') {
+      return this.#parseLet(token, origin);
+    }
+
+    let source = token.expression;
+    let params = null;
+    if (token.name === 'each' || token.name === 'with') {
+      ({ source, params } = this.#splitBlockParams(source));
+    }
+    if (token.name === 'with' && params && params.length > 1) {
+      return this.#rejectTag(token, origin, 'INVALID_BLOCK', '{{#with}} takes one block param, as in {{#with order.customer as |customer|}}.');
+    }
+
+    try {
+      return {
+        type: token.name,
+        expression: this.#parseExpression(source),
+        params,
+        body: [],
+        inverse: null,
+        start: token.start
+      };
+    } catch (error) {
+      return this.#rejectTag(token, origin, 'INVALID_EXPRESSION', error.message, error);
+    }
+  }
+
+  /**
+   * Parses a `{{#cache key... ttl=seconds}}` opening tag. The keys are any expressions; `ttl` is the only option.
+   *
+   * @param {Object} token - The open token.
+   * @param {Object} origin - The template being parsed.
+   * @returns {Object} A cache node, or a text node if the tag is invalid.
+   * @private
+   */
+  #parseCache(token, origin) {
+    let positional;
+    let hash;
+    try {
+      ({ positional, hash } = this.#parseExpression(token.expression, true));
+    } catch (error) {
+      return this.#rejectTag(token, origin, 'INVALID_EXPRESSION', error.message, error);
+    }
+
+    if (positional.length === 0) {
+      return this.#rejectTag(token, origin, 'INVALID_BLOCK', '{{#cache}} expects at least one key.');
+    }
+    const unknown = Object.keys(hash).find(name => name !== 'ttl');
+    if (unknown) {
+      return this.#rejectTag(token, origin, 'INVALID_BLOCK', `Unknown {{#cache}} option "${unknown}"; only ttl is supported.`);
+    }
+
+    return { type: 'cache', keys: positional, ttl: hash.ttl || null, body: [], start: token.start };
+  }
+
+  /**
+   * Parses a `{{#let name=value...}}` opening tag. Only named values are allowed.
+   *
+   * @param {Object} token - The open token.
+   * @param {Object} origin - The template being parsed.
+   * @returns {Object} A let node, or a text node if the tag is invalid.
+   * @private
+   */
+  #parseLet(token, origin) {
+    let positional;
+    let hash;
+    try {
+      ({ positional, hash } = this.#parseExpression(token.expression, true));
+    } catch (error) {
+      return this.#rejectTag(token, origin, 'INVALID_EXPRESSION', error.message, error);
+    }
+
+    if (positional.length > 0 || Object.keys(hash).length === 0) {
+      return this.#rejectTag(token, origin, 'INVALID_BLOCK', '{{#let}} expects named values, as in {{#let total=(sum items "price")}}.');
+    }
+    return { type: 'let', values: hash, body: [], start: token.start };
+  }
+
+  /**
+   * Splits block params off a block expression: `users as |user i|` gives the expression
+   * `users` and the params `['user', 'i']`.
+   *
+   * @param {string} source - The block expression.
+   * @returns {{source: string, params: (Array<string>|null)}} The expression without the params, and the param names.
+   * @private
+   */
+  #splitBlockParams(source) {
+    const match = source.match(/^([\s\S]*?)\s+as\s+\|\s*([A-Za-z_$][\w$]*(?:\s+[A-Za-z_$][\w$]*)?)\s*\|$/);
+    if (!match) {
+      return { source, params: null };
+    }
+    return { source: match[1], params: match[2].split(/\s+/) };
+  }
+
+  /**
+   * Handles `{{else}}` and `{{else if expression}}` inside the current block.
+   *
+   * `{{else}}` switches the block to its inverse branch; in `{{#each}}` it works like `{{empty}}`.
+   * `{{else if expression}}` nests a new `if` node in the inverse branch and continues the chain
+   * in the same frame, so one closing tag ends the whole chain.
+   * An `{{else}}` outside a block, or after the block already has one, is kept as literal text.
+   *
+   * @param {Object} frame - The innermost parser frame.
+   * @param {Object} token - The else token.
+   * @param {Object} origin - The template being parsed.
+   * @private
+   */
+  #parseElse(frame, token, origin) {
+    const { node } = frame;
+    const chained = token.expression.match(/^if\s+([\s\S]+)$/);
+
+    if (!ELSE_BLOCKS.has(node.type) || node.inverse || (chained && node.type === 'each')) {
+      frame.body.push(this.#rejectTag(token, origin, 'UNEXPECTED_ELSE', `Unexpected {{${token.source.slice(2, -2).trim()}}}.`));
+      return;
+    }
+
+    if (!chained) {
+      if (token.expression) {
+        frame.body.push(this.#rejectTag(token, origin, 'UNEXPECTED_ELSE', `Unexpected {{${token.source.slice(2, -2).trim()}}}.`));
+        return;
+      }
+      node.inverse = [];
+      frame.body = node.inverse;
+      return;
+    }
+
+    let expression;
+    try {
+      expression = this.#parseExpression(chained[1]);
+    } catch (error) {
+      frame.body.push(this.#rejectTag(token, origin, 'INVALID_EXPRESSION', error.message, error));
+      return;
+    }
+
+    const branch = { type: 'if', expression, body: [], inverse: null, start: token.start };
+    node.inverse = [branch];
+    frame.node = branch;
+    frame.body = branch.body;
+  }
+
+  /**
+   * Closes the innermost open block matching a closing tag.
+   * Blocks left open inside it are closed with a warning; a closing tag with no
+   * matching block is kept as literal text.
+   *
+   * @param {Array<Object>} stack - The parser's block stack.
+   * @param {Object} token - The close token.
+   * @param {Object} origin - The template being parsed.
+   * @private
+   */
+  #closeBlock(stack, token, origin) {
+    let index = stack.length - 1;
+    while (index > 0 && stack[index].name !== token.name) {
+      index--;
+    }
+
+    if (index === 0) {
+      stack[stack.length - 1].body.push(
+        this.#rejectTag(token, origin, 'UNEXPECTED_CLOSE', `{{/${token.name}}} does not close an open block.`)
+      );
+      return;
+    }
+
+    while (stack.length - 1 > index) {
+      const { name, start } = stack.pop();
+      this.#report('UNCLOSED_BLOCK', `Unclosed {{#${name}}} block.`, { origin, start });
+    }
+    stack.pop();
+  }
+
+  /**
+   * Compiles a template source into a reusable template object.
+   *
+   * @param {string} source - The template source.
+   * @param {string|null} [name=null] - The template's file path, if it was loaded from a file.
+   * @param {Object} [ast] - The parsed source, if it was parsed ahead of time.
+   * @returns {{name: (string|null), source: string, ast: Object, renderBody: Function,
+   *   extends: (string|null), blocks: Map<string, Function>, fragments: Map<string, Function>,
+   *   partials: Set<string>}} The compiled template.
+   * @private
+   */
+  #compile(source, name = null, ast = this.#parse(source, name)) {
+    const context = {
+      source,
+      name,
+      html: { mode: 'data' },
+      blocks: new Map(),
+      fragments: new Map(),
+      partials: new Set()
+    };
+    const renderers = ast.body.map(node => this.#compileNode(node, context));
+    const renderBody = this.#withStream((scope, state) => {
+      let output = '';
+      for (const render of renderers) {
+        output += render(scope, state);
+      }
+      return output;
+    }, scope => renderers.map(render => [render, scope]));
+    return {
+      name,
+      source,
+      ast,
+      renderBody,
+      extends: ast.extends,
+      blocks: context.blocks,
+      fragments: context.fragments,
+      partials: context.partials
+    };
+  }
+
+  /**
+   * Compiles a list of nodes into a single render function.
+   *
+   * @param {Array<Object>} nodes - The nodes to compile.
+   * @param {Object} context - The compile context shared by the whole template.
+   * @param {string} context.source - The template source, for error positions.
+   * @param {string|null} context.name - The template's file path, for error messages.
+   * @param {Object} context.html - The HTML parser state at the current position, see `#advanceHtmlState`.
+   * @param {Map<string, Function>} context.blocks - Collects the template's `{{#block}}` bodies by name.
+   * @param {Map<string, Function>} context.fragments - Collects the template's `{{#fragment}}` bodies by name.
+   * @param {Set<string>} context.partials - Collects the names of the partials the template includes.
+   * @returns {function(Object, Object): string} A function taking a scope and render state.
+   * @private
+   */
+  #compileNodes(nodes, context) {
+    const renderers = nodes.map(node => this.#compileNode(node, context));
+
+    if (renderers.length === 0) {
+      return () => '';
+    }
+    if (renderers.length === 1) {
+      return renderers[0];
+    }
+
+    return this.#withStream((scope, state) => {
+      let output = '';
+      for (const render of renderers) {
+        output += render(scope, state);
+      }
+      return output;
+    }, scope => renderers.map(render => [render, scope]), { children: renderers });
+  }
+
+  /**
+   * Gives a render function a streaming version, used by `renderToStream`, for nodes whose output is
+   * the output of other render functions, such as a node list or a loop.
+   *
+   * @param {function(Object, Object): string} render - The render function.
+   * @param {function(Object, Object): Iterable<Array>} parts - Lists the `[render, scope]` pairs whose
+   * output makes up the node's output, in order; called when the node is streamed.
+   * @param {Object} [options={}] - Streaming options.
+   * @param {Array<Function>|null} [options.children=null] - The render functions `parts` chooses from. When
+   * none of them can stream, the node is not split either and is written whole with the output around it.
+   * @param {boolean} [options.flushEach=false] - Whether each part is passed on as soon as it is rendered,
+   * e.g. each loop iteration, instead of being joined with the output of the next part that cannot stream.
+   * @returns {function(Object, Object): string} The render function, with a `stream` generator function
+   * unless none of its children can stream.
+   * @private
+   */
+  #withStream(render, parts, { children = null, flushEach = false } = {}) {
+    if (children && !children.some(child => child.stream)) {
+      return render;
+    }
+    render.stream = (scope, state) => this.#streamParts(parts(scope, state), flushEach, state);
+    return render;
+  }
+
+  /**
+   * Streams the output of `[render, scope]` pairs. Parts that can stream, see `#withStream`, pass their own
+   * pieces on; the output of the others is collected until then.
+   *
+   * @param {Iterable<Array>} parts - The `[render, scope]` pairs.
+   * @param {boolean} flushEach - Whether to pass each part's output on by itself.
+   * @param {Object} state - The render state.
+   * @yields {string} The output, in pieces.
+   * @private
+   */
+  *#streamParts(parts, flushEach, state) {
+    let pending = '';
+    for (const [render, scope] of parts) {
+      if (render.stream) {
+        if (pending) {
+          yield pending;
+          pending = '';
+        }
+        yield* render.stream(scope, state);
+      } else {
+        pending += render(scope, state);
+        if (flushEach && pending) {
+          yield pending;
+          pending = '';
+        }
+      }
+    }
+    if (pending) {
+      yield pending;
+    }
+  }
+
+  /**
+   * Compiles a single node into a render function.
+   *
+   * @param {Object} node - The node to compile.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
+   */
+  #compileNode(node, context) {
+    switch (node.type) {
+      case 'text': {
+        const { value } = node;
+        context.html = this.#advanceHtmlState(context.html, value);
+        return this.#limitOutput(() => value, node, context);
+      }
+      case 'output':
+        return this.#limitOutput(this.#compileOutput(node, context), node, context);
+      case 'partial':
+        return this.#compilePartial(node, context);
+      case 'partialBlock':
+        return this.#compilePartialBlock(node, context);
+      case 'slot':
+        // Reported by the parser; a slot outside a block partial has nowhere to render.
+        return () => '';
+      case 'if':
+      case 'unless':
+        return this.#compileConditional(node, context);
+      case 'each':
+        return this.#compileEach(node, context);
+      case 'with':
+        return this.#compileWith(node, context);
+      case 'let':
+        return this.#compileLet(node, context);
+      case 'extends':
+        return this.#compileNodes(node.body, context);
+      case 'block':
+        return this.#compileBlock(node, context);
+      case 'fragment':
+        return this.#compileFragment(node, context);
+      case 'cache':
+        return this.#compileCache(node, context);
+      case 'super':
+        return (scope, state) => this.#renderSuper(scope, state);
+      default:
+        throw new Error(`Unknown template node "${node.type}".`);
+    }
+  }
+
+  /**
+   * Wraps the render function of a text or output node so it enforces the `maxOutputSize` and
+   * `maxRenderTime` limits. Every character of output comes from one of these nodes, or from the
+   * fragment store, which `{{#cache}}` counts itself; so counting them counts the whole output once.
+   *
+   * @param {function(Object, Object): string} render - The node's render function.
+   * @param {Object} node - The node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
+   */
+  #limitOutput(render, node, context) {
+    const { maxOutputSize, maxRenderTime } = this.limits;
+    if (maxOutputSize === Infinity && maxRenderTime === Infinity) {
+      return render;
+    }
+
+    return (scope, state) => this.#countOutput(render(scope, state), state, node, context);
+  }
+
+  /**
+   * Adds output to the render's total and checks the `maxOutputSize` and `maxRenderTime` limits.
+   *
+   * @param {string} output - The output.
+   * @param {Object} state - The render state.
+   * @param {Object} node - The node producing the output, for the error position.
+   * @param {Object} context - The compile context.
+   * @returns {string} The output.
+   * @throws {TemplateError} If a limit is exceeded.
+   * @private
+   */
+  #countOutput(output, state, node, context) {
+    const { maxOutputSize, maxRenderTime } = this.limits;
+    state.usage.outputSize += output.length;
+    if (state.usage.outputSize > maxOutputSize) {
+      throw this.#createError('OUTPUT_LIMIT_EXCEEDED', `Output exceeds the limit of ${maxOutputSize} characters.`, {
+        origin: context,
+        start: node.start
+      });
+    }
+    if (Date.now() > state.deadline) {
+      throw this.#createError('RENDER_TIMEOUT', `Rendering took longer than the limit of ${maxRenderTime} ms.`, {
+        origin: context,
+        start: node.start
+      });
+    }
+    return output;
+  }
+
+  /**
+   * Compiles an expression tree into an evaluator function.
+   *
+   * A path that resolves to `undefined` is reported as an undefined variable unless it is guarded:
+   * the test of a conditional, the operand of `!`, the left side of `||` or the input of `default`.
+   *
+   * In placeholders, `key || "fallback"` gives a default value: it falls back only when the left side
+   * is `null` or `undefined`, so `0`, `false` and `""` are kept. Elsewhere, e.g. in conditions, `||`
+   * is a logical or.
+   *
+   * @param {Object} node - The expression tree.
+   * @param {Object} site - Where the expression appears.
+   * @param {Object} site.context - The compile context.
+   * @param {number} site.start - The offset of the tag containing the expression.
+   * @param {boolean} [site.guarded=false] - Whether an undefined value is expected here.
+   * @param {boolean} [site.placeholder=false] - Whether the expression is the value of a placeholder.
+   * @returns {function(Object, Object): *} A function taking a scope and render state and returning the value.
+   * @private
+   */
+  #compileExpression(node, site) {
+    const guarded = { ...site, guarded: true };
+
+    switch (node.type) {
+      case 'literal': {
+        const { value } = node;
+        return () => value;
+      }
+      case 'path':
+        return this.#compilePath(node, site);
+      case 'not': {
+        const argument = this.#compileExpression(node.argument, guarded);
+        return (scope, state) => !argument(scope, state);
+      }
+      case 'binary': {
+        const left = this.#compileExpression(node.left, node.operator === '||' ? guarded : site);
+        const right = this.#compileExpression(node.right, site);
+        if (node.operator === '&&') {
+          return (scope, state) => left(scope, state) && right(scope, state);
+        }
+        if (node.operator === '||' && site.placeholder) {
+          return (scope, state) => {
+            const value = left(scope, state);
+            return value === undefined || value === null ? right(scope, state) : value;
+          };
+        }
+        if (node.operator === '||') {
+          return (scope, state) => left(scope, state) || right(scope, state);
+        }
+        const operate = BINARY_OPERATORS[node.operator];
+        return (scope, state) => operate(left(scope, state), right(scope, state));
+      }
+      case 'filter':
+        return this.#compileFilter(node, site);
+      case 'translate':
+        return this.#compileTranslation(node, site);
+      default:
+        throw new Error(`Unknown expression node "${node.type}".`);
+    }
+  }
+
+  /**
+   * Compiles a filter node. Filters are looked up when the template renders, so filters
+   * registered after a template was compiled are still found. Values marked safe are
+   * unwrapped before they are passed to a filter, and the result is only marked safe again
+   * if the filter itself is safe.
+   *
+   * A filter that throws is reported with the thrown error as the cause and yields `undefined`.
+   *
+   * @param {Object} node - The filter node.
+   * @param {Object} site - Where the expression appears; see `#compileExpression`.
+   * @returns {function(Object, Object): *} The evaluator function.
+   * @private
+   */
+  #compileFilter(node, site) {
+    const { name } = node;
+    const { context, start } = site;
+    const input = this.#compileExpression(node.input, name === 'default' ? { ...site, guarded: true } : site);
+    const args = node.args.map(arg => this.#compileExpression(arg, site));
+
+    return (scope, state) => {
+      const raw = input(scope, state);
+      const value = raw instanceof SafeString ? raw.toString() : raw;
+      const filter = this.filters.get(name);
+
+      if (!filter) {
+        this.#report('UNKNOWN_FILTER', `Unknown filter "${name}".`, { origin: context, start });
+        return value;
+      }
+
+      let result;
+      try {
+        result = filter.fn.call({ locale: state.locale || undefined }, value, ...args.map(arg => arg(scope, state)));
+      } catch (error) {
+        if (this.#isForbidden(error)) {
+          throw this.#createError(error.code, `Filter "${name}" cannot read its input: ${error.message}`, { origin: context, start });
+        }
+        this.#report('FILTER_ERROR', `Filter "${name}" failed: ${error.message}`, { origin: context, start, cause: error });
+        return undefined;
+      }
+      return filter.safe ? new SafeString(result) : result;
+    };
+  }
+
+  /**
+   * Compiles a `{{t}}` translate node. The message is looked up when the template renders,
+   * in the render's locale; see `#translate`.
+   *
+   * @param {Object} node - The translate node.
+   * @param {Object} site - Where the expression appears; see `#compileExpression`.
+   * @returns {function(Object, Object): string} The evaluator function.
+   * @private
+   */
+  #compileTranslation(node, site) {
+    const key = this.#compileExpression(node.key, site);
+    const values = Object.entries(node.values).map(([name, value]) => [name, this.#compileExpression(value, site)]);
+
+    return (scope, state) => {
+      const resolved = {};
+      for (const [name, value] of values) {
+        resolved[name] = value(scope, state);
+      }
+      return this.#translate(this.#stringifyValue(key(scope, state)), resolved, state.locale, site);
+    };
+  }
+
+  /**
+   * Translates a message key.
+   *
+   * The message is taken from the first catalog that has it: the locale's, its language's
+   * (`pt` for `pt-BR`), then the fallback locale's. Plural forms are chosen by `values.count`,
+   * first by exact count (`=0`), then by `Intl.PluralRules` category, then `other`. `{name}`
+   * placeholders are replaced by `values.name`, with numbers and dates formatted by `Intl`.
+   * A missing message is reported as `MISSING_TRANSLATION` and renders as its key.
+   *
+   * @param {string} key - The message key.
+   * @param {Object} values - The named values.
+   * @param {string|null} locale - The render's locale.
+   * @param {Object} site - Where the tag appears, for error reporting.
+   * @returns {string} The translated message.
+   * @private
+   */
+  #translate(key, values, locale, site) {
+    const { context, start } = site;
+
+    for (const candidate of this.#localeChain(locale)) {
+      let message = this.#findMessage(this.catalogs.get(candidate), key);
+      if (message === undefined) {
+        message = this.#findMessage(this.#fileCatalogs.get(candidate), key);
+      }
+      if (message === undefined) {
+        continue;
+      }
+
+      if (message && typeof message === 'object') {
+        const count = values.count;
+        const exact = typeof count === 'number' ? message[`=${count}`] : undefined;
+        const category = typeof count === 'number' ? new Intl.PluralRules(candidate.replace(/_/g, '-')).select(count) : 'other';
+        message = exact ?? message[category] ?? message.other;
+      }
+      if (typeof message !== 'string') {
+        this.#report('INVALID_TRANSLATION', `Translation "${key}" for locale "${candidate}" is not a string or plural forms.`, {
+          origin: context,
+          start
+        });
+        return key;
+      }
+
+      return message.replace(/\{\s*([\w$]+)\s*\}/g, (placeholder, name) => (
+        Object.prototype.hasOwnProperty.call(values, name) ? this.#formatMessageValue(values[name], candidate) : placeholder
+      ));
+    }
+
+    this.#report('MISSING_TRANSLATION', `Missing translation "${key}" for locale "${locale || 'none'}".`, { origin: context, start });
+    return key;
+  }
+
+  /**
+   * Looks up a message in a catalog, as a dotted key or a nested path.
+   *
+   * @param {Object|null|undefined} catalog - The catalog.
+   * @param {string} key - The message key.
+   * @returns {*} The message, or `undefined` if the catalog does not have it.
+   * @private
+   */
+  #findMessage(catalog, key) {
+    if (!catalog) {
+      return undefined;
+    }
+    if (Object.prototype.hasOwnProperty.call(catalog, key)) {
+      return catalog[key];
+    }
+    return this.#getNestedValue(catalog, key);
+  }
+
+  /**
+   * Formats a value interpolated into a message: numbers and dates with `Intl`, anything else as text.
+   *
+   * @param {*} value - The value.
+   * @param {string} locale - The locale of the message.
+   * @returns {string} The formatted value.
+   * @private
+   */
+  #formatMessageValue(value, locale) {
+    const intlLocale = locale.replace(/_/g, '-');
+    if (typeof value === 'number') {
+      return new Intl.NumberFormat(intlLocale).format(value);
+    }
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? '' : new Intl.DateTimeFormat(intlLocale, { dateStyle: 'medium' }).format(value);
+    }
+    return this.#stringifyValue(value);
+  }
+
+  /**
+   * Lists the locales whose catalogs are searched for a message, most specific first.
+   *
+   * @param {string|null} locale - The render's locale.
+   * @returns {Array<string>} The locale, its language, the fallback locale and its language, without duplicates.
+   * @private
+   */
+  #localeChain(locale) {
+    const chain = [];
+    for (const candidate of [locale, this.fallbackLocale]) {
+      if (!candidate) {
+        continue;
+      }
+      chain.push(candidate);
+      const language = candidate.split(/[-_]/)[0];
+      if (language !== candidate) {
+        chain.push(language);
+      }
+    }
+    return Array.from(new Set(chain));
+  }
+
+  /**
+   * Loads the catalogs a render in `locale` may need from the locales folder.
+   * Each file is read once; `clearCache` forgets them.
+   *
+   * @param {string|null} locale - The render's locale.
+   * @returns {Promise<void>}
+   * @throws {TemplateError} If a catalog file is not valid JSON (code `INVALID_CATALOG`).
+   * @private
+   */
+  async #loadCatalogs(locale) {
+    if (!this.localesFolder) {
+      return;
+    }
+
+    const pending = this.#localeChain(locale).filter(candidate => (
+      this.#isLocale(candidate) && !this.#fileCatalogs.has(candidate)
+    ));
+
+    await Promise.all(pending.map(async candidate => {
+      const absolutePath = this.#resolveFilePath(path.join(this.localesFolder, `${candidate}.json`));
+      let content;
+      try {
+        content = await fsPromises.readFile(absolutePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          this.#fileCatalogs.set(candidate, null);
+          return;
+        }
+        throw error;
+      }
+
+      try {
+        this.#fileCatalogs.set(candidate, JSON.parse(content));
+      } catch (error) {
+        throw this.#createError('INVALID_CATALOG', `Catalog for locale "${candidate}" is not valid JSON.`, {
+          origin: { name: absolutePath },
+          cause: error
+        });
+      }
+    }));
+  }
+
+  /**
+   * Compiles a path node into a lookup function that reports undefined values unless the site is guarded.
+   * In secure mode, a refused property is rethrown with the template position.
+   *
+   * @param {Object} node - The path node.
+   * @param {Object} site - Where the expression appears; see `#compileExpression`.
+   * @returns {function(Object): *} The lookup function.
+   * @private
+   */
+  #compilePath(node, site) {
+    const { context, start } = site;
+    let lookup = this.#compileLookup(node);
+
+    if (this.secure) {
+      const read = lookup;
+      lookup = scope => {
+        try {
+          return read(scope);
+        } catch (error) {
+          if (this.#isForbidden(error)) {
+            throw this.#createError(error.code, `Cannot read "${node.original}": ${error.message}`, { origin: context, start });
+          }
+          throw error;
+        }
+      };
+    }
+    if (site.guarded) {
+      return lookup;
+    }
+
+    return scope => {
+      const value = lookup(scope);
+      if (value === undefined) {
+        if (this.#hooks.has('missingBinding')) {
+          this.#emit('missingBinding', { path: node.original, template: context.name, ...this.#position(context.source, start) });
+        }
+        this.#report('UNDEFINED_VARIABLE', `"${node.original}" is not defined.`, { origin: context, start });
+      }
+      return value;
+    };
+  }
+
+  /**
+   * Builds the lookup function for a path node.
+   * Unqualified keys are looked up in the current scope first, then in each enclosing scope,
+   * so a loop item's fields are found before the root bindings. In each scope, block params
+   * such as `user` in `{{#each users as |user|}}` win over the scope's data.
+   *
+   * @param {Object} node - The path node.
+   * @returns {function(Object): *} The lookup function.
+   * @private
+   */
+  #compileLookup(node) {
+    const { up, scoped, data, parts } = node;
+
+    return scope => {
+      let target = scope;
+      for (let i = 0; i < up && target.parent; i++) {
+        target = target.parent;
+      }
+
+      if (data) {
+        return this.#getNestedValue(this.#lookupData(target, data), parts);
+      }
+      if (scoped) {
+        return this.#getNestedValue(target.data, parts);
+      }
+
+      for (let current = target; current; current = current.parent) {
+        if (current.locals && Object.prototype.hasOwnProperty.call(current.locals, parts[0])) {
+          return this.#getNestedValue(current.locals[parts[0]], parts.slice(1));
+        }
+        const value = this.#getNestedValue(current.data, parts);
+        if (value !== undefined) {
+          return value;
+        }
+      }
+      return undefined;
+    };
+  }
+
+  /**
+   * Looks up an `@` data variable such as `@index` through the scope chain.
+   * `@root` always refers to the bindings the render started with.
+   *
+   * @param {Object} scope - The scope to start from.
+   * @param {string} name - The variable name without the `@`.
+   * @returns {*} The variable's value, or `undefined` if it is not defined.
+   * @private
+   */
+  #lookupData(scope, name) {
+    if (name === 'root') {
+      let root = scope;
+      while (root.parent) {
+        root = root.parent;
+      }
+      return root.data;
+    }
+
+    for (let current = scope; current; current = current.parent) {
+      if (current.vars && Object.prototype.hasOwnProperty.call(current.vars, name)) {
+        return current.vars[name];
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Creates a scope for resolving bindings.
+   *
+   * @param {*} data - The scope's data, e.g. the bindings or the current loop item.
+   * @param {Object|null} [parent=null] - The enclosing scope.
+   * @param {Object|null} [vars=null] - The `@` data variables defined by this scope.
+   * @param {Object|null} [locals=null] - The named block params defined by this scope.
+   * @returns {{data: *, parent: (Object|null), vars: (Object|null), locals: (Object|null)}} The scope.
+   * @private
+   */
+  #createScope(data, parent = null, vars = null, locals = null) {
+    return { data, parent, vars, locals };
+  }
+
+  /**
+   * Compiles an output node. `{{{ }}}` output is inserted raw. `{{ }}` output is escaped for the
+   * HTML context it appears in, see `#outputContext`; values wrapped with `TemplateSMD.safe()` are
+   * inserted unchanged. `null` and `undefined` render as an empty string, or `null` in script.
+   *
+   * @param {Object} node - The output node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
+   */
+  #compileOutput(node, context) {
+    const evaluate = this.#compileExpression(node.expression, { context, start: node.start, placeholder: true });
+    const outputContext = this.#outputContext(context.html);
+    context.html = this.#advancePastOutput(context.html);
+
+    let render;
+    if (node.raw) {
+      render = (scope, state) => this.#stringifyValue(evaluate(scope, state));
+    } else if (outputContext.kind === 'html') {
+      render = (scope, state) => this.#escapeHtml(evaluate(scope, state));
+    } else {
+      render = (scope, state) => this.#escapeForContext(evaluate(scope, state), outputContext, context, node.start);
+    }
+    if (!this.secure) {
+      return render;
+    }
+
+    return (scope, state) => {
+      try {
+        return render(scope, state);
+      } catch (error) {
+        if (this.#isForbidden(error)) {
+          throw this.#createError(error.code, `Cannot output the value: ${error.message}`, { origin: context, start: node.start });
+        }
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Advances the HTML parser state over a piece of literal template text.
+   *
+   * The state tracks just enough of the HTML tokenizer to tell where output lands: text content,
+   * comments, tag names, attribute names and (quoted or unquoted) values, and the raw text of
+   * `<script>` and `<style>` elements. In scripts and `on*` handlers, `jsQuote` tells whether output
+   * is inside a string or template literal (the quote), a comment (`//` or `/*`) or a regular
+   * expression (`/`, or `/[` in a character class); `jsLast` and `jsWord` are the last significant
+   * character and word, which decide whether a `/` starts a regular expression.
+   * `textTag` names an open `<title>` or `<textarea>`, whose text shows comments as written.
+   *
+   * @param {Object} state - The state before the text.
+   * @param {string} text - The literal text.
+   * @returns {Object} The state after the text.
+   * @private
+   */
+  #advanceHtmlState(state, text) {
+    const next = { ...state };
+
+    const endTag = () => {
+      if (!next.closing && (next.tagName === 'title' || next.tagName === 'textarea')) {
+        next.textTag = next.tagName;
+      } else if (next.closing && next.tagName === next.textTag) {
+        next.textTag = null;
+      }
+      if (!next.closing && (next.tagName === 'script' || next.tagName === 'style')) {
+        next.mode = 'rawtext';
+        next.rawTag = next.tagName;
+        Object.assign(next, JS_START);
+      } else {
+        next.mode = 'data';
+      }
+    };
+    const trackJs = index => {
+      const char = text[index];
+      const quote = next.jsQuote;
+      if (quote === '//') {
+        if (/[\n\r\u2028\u2029]/.test(char)) {
+          next.jsQuote = null;
+        }
+        return index;
+      }
+      if (quote === '/*') {
+        if (char === '*' && text[index + 1] === '/') {
+          next.jsQuote = null;
+          return index + 1;
+        }
+        return index;
+      }
+      if (quote) {
+        if (char === '\\') {
+          return index + 1;
+        }
+        if (quote === '/[') {
+          next.jsQuote = char === ']' ? '/' : quote;
+        } else if (quote === '/' && char === '[') {
+          next.jsQuote = '/[';
+        } else if (char === (quote === '/' ? '/' : quote) || (quote === '/' && /[\n\r]/.test(char))) {
+          next.jsQuote = null;
+          next.jsLast = ')';
+        }
+        return index;
+      }
+
+      if (char === '"' || char === "'" || char === '`') {
+        next.jsQuote = char;
+      } else if (char === '/' && (text[index + 1] === '/' || text[index + 1] === '*')) {
+        next.jsQuote = `/${text[index + 1]}`;
+        return index + 1;
+      } else if (char === '/' && (next.jsLast === null || /[(,=:[!&|?{};+\-*%<>~^]/.test(next.jsLast) || REGEX_KEYWORDS.has(next.jsWord))) {
+        next.jsQuote = '/';
+      } else if (/[\w$]/.test(char)) {
+        next.jsWord = /[\w$]/.test(next.jsLast || '') ? next.jsWord + char : char;
+        next.jsLast = char;
+      } else if (!/\s/.test(char)) {
+        next.jsWord = '';
+        next.jsLast = char;
+      }
+      return index;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      switch (next.mode) {
+        case 'data':
+          if (char === '<') {
+            if (text.startsWith('<!--', i)) {
+              next.mode = 'comment';
+              i += 3;
+            } else if (/[a-zA-Z/]/.test(text[i + 1] || '')) {
+              next.mode = 'tagName';
+              next.tagName = '';
+              next.closing = text[i + 1] === '/';
+              if (next.closing) {
+                i++;
+              }
+            }
+          }
+          break;
+
+        case 'comment':
+          if (text.startsWith('-->', i)) {
+            next.mode = 'data';
+            i += 2;
+          }
+          break;
+
+        case 'tagName':
+          if (char === '>') {
+            endTag();
+          } else if (/[\s/]/.test(char)) {
+            next.mode = 'tag';
+          } else {
+            next.tagName += char.toLowerCase();
+          }
+          break;
+
+        case 'tag':
+          if (char === '>') {
+            endTag();
+          } else if (!/[\s/]/.test(char)) {
+            next.mode = 'attrName';
+            next.attrName = char.toLowerCase();
+          }
+          break;
+
+        case 'attrName':
+          if (char === '=') {
+            next.mode = 'beforeValue';
+          } else if (char === '>') {
+            endTag();
+          } else if (char === '/') {
+            next.mode = 'tag';
+          } else if (/\s/.test(char)) {
+            next.mode = 'afterAttrName';
+          } else {
+            next.attrName += char.toLowerCase();
+          }
+          break;
+
+        case 'afterAttrName':
+          if (char === '=') {
+            next.mode = 'beforeValue';
+          } else if (char === '>') {
+            endTag();
+          } else if (!/\s/.test(char)) {
+            next.mode = 'attrName';
+            next.attrName = char.toLowerCase();
+          }
+          break;
+
+        case 'beforeValue':
+          if (char === '>') {
+            endTag();
+          } else if (!/\s/.test(char)) {
+            next.mode = 'value';
+            next.quote = char === '"' || char === "'" ? char : '';
+            next.value = next.quote ? '' : char;
+            Object.assign(next, JS_START);
+            if (!next.quote && next.attrName.startsWith('on')) {
+              i = trackJs(i);
+            }
+          }
+          break;
+
+        case 'value':
+          if (next.quote ? char === next.quote : /\s/.test(char)) {
+            next.mode = 'tag';
+          } else if (!next.quote && char === '>') {
+            endTag();
+          } else {
+            next.value += char;
+            if (next.attrName.startsWith('on')) {
+              i = trackJs(i);
+            }
+          }
+          break;
+
+        case 'rawtext':
+          if (char === '<' && text.slice(i, i + 2 + next.rawTag.length).toLowerCase() === `</${next.rawTag}`) {
+            next.mode = 'tagName';
+            next.tagName = '';
+            next.closing = true;
+            i++;
+          } else if (next.rawTag === 'script') {
+            i = trackJs(i);
+          }
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Updates the HTML parser state for an output tag: output inside an attribute value
+   * makes the value non-empty, and output right after `=` starts an unquoted value.
+   *
+   * @param {Object} state - The state before the output.
+   * @returns {Object} The state after the output.
+   * @private
+   */
+  #advancePastOutput(state) {
+    // In a script, output outside a literal is a value, so a `/` after it is a division.
+    const value = state.jsQuote ? {} : { jsLast: ')', jsWord: '' };
+    if (state.mode === 'value') {
+      return { ...state, ...value, value: `${state.value}\0` };
+    }
+    if (state.mode === 'beforeValue') {
+      return { ...state, ...JS_START, ...value, mode: 'value', quote: '', value: '\0' };
+    }
+    if (state.mode === 'rawtext') {
+      return { ...state, ...value };
+    }
+    return state;
+  }
+
+  /**
+   * Checks whether debug comments can go at the given HTML state: in text content, but not inside a tag,
+   * an attribute, `<script>`, `<style>`, `<title>` or `<textarea>`.
+   *
+   * @param {Object} state - The HTML parser state.
+   * @returns {boolean} Whether a comment would be read as a comment.
+   * @private
+   */
+  #acceptsComments(state) {
+    const outputContext = this.#outputContext(state);
+    return outputContext.kind === 'html' && !outputContext.inAttribute && !state.textTag && state.mode !== 'comment';
+  }
+
+  /**
+   * Works out how output at the given HTML state must be escaped.
+   *
+   * - `html`: text content, comments and quoted attribute values.
+   * - `attribute`: unquoted attribute values and output inside a tag.
+   * - `url`: URLs in attributes such as `href`, `src` and `srcset`. `urlStart` is set at the start of a URL,
+   *   `urlQuery` in its query or fragment, and `urlScheme` while a `:` could still make the URL's scheme.
+   * - `js` / `jsString`: `<script>` content and `on*` handlers, outside or inside a string literal, comment or regular expression.
+   * - `css`: `<style>` content and `style` attributes.
+   *
+   * @param {Object} state - The HTML parser state.
+   * @returns {{kind: string, inAttribute: boolean, quoted: boolean, urlStart: boolean, urlQuery: boolean, urlScheme: boolean}}
+   * The output context.
+   * @private
+   */
+  #outputContext(state) {
+    const context = { kind: 'html', inAttribute: false, quoted: true, urlStart: false, urlQuery: false, urlScheme: false };
+
+    if (state.mode === 'rawtext') {
+      if (state.rawTag === 'script') {
+        context.kind = state.jsQuote ? 'jsString' : 'js';
+      } else {
+        context.kind = 'css';
+      }
+      return context;
+    }
+
+    if (state.mode === 'tag' || state.mode === 'tagName' || state.mode === 'attrName' || state.mode === 'afterAttrName') {
+      return { ...context, kind: 'attribute', inAttribute: true, quoted: false };
+    }
+
+    if (state.mode !== 'value' && state.mode !== 'beforeValue') {
+      return context;
+    }
+
+    const attribute = state.attrName;
+    const quoted = state.mode === 'value' && Boolean(state.quote);
+    const inValue = { ...context, inAttribute: true, quoted };
+
+    if (attribute.startsWith('on')) {
+      return { ...inValue, kind: state.mode === 'value' && state.jsQuote ? 'jsString' : 'js' };
+    }
+    if (attribute === 'style') {
+      return { ...inValue, kind: 'css' };
+    }
+    if (URL_ATTRIBUTES.has(attribute)) {
+      const value = state.mode === 'value' ? state.value : '';
+      const url = attribute === 'srcset' ? this.#currentSrcsetUrl(value) : value;
+      if (url === null) {
+        return { ...inValue, kind: quoted ? 'html' : 'attribute' };
+      }
+      const literal = url.replace(/\0/g, '');
+      return { ...inValue, kind: 'url', urlStart: !url, urlQuery: /[?#]/.test(literal), urlScheme: !/[/:?#]/.test(literal) };
+    }
+    return { ...inValue, kind: quoted ? 'html' : 'attribute' };
+  }
+
+  /**
+   * Finds the URL that output at the end of a `srcset` value belongs to. A `srcset` is a list of
+   * candidates separated by commas, each a URL followed by descriptors such as `2x` or `480w`.
+   *
+   * @param {string} value - The attribute value so far, with `\0` for earlier output.
+   * @returns {string|null} The current candidate's URL so far, empty at the start of one, or `null`
+   * if the output is in the descriptors.
+   * @private
+   */
+  #currentSrcsetUrl(value) {
+    let url = '';
+    let inDescriptors = false;
+    for (const char of value) {
+      if (inDescriptors) {
+        if (char === ',') {
+          inDescriptors = false;
+        }
+      } else if (/\s/.test(char)) {
+        inDescriptors = url !== '' && !url.endsWith(',');
+        url = '';
+      } else if (url !== '' || char !== ',') {
+        url += char;
+      }
+    }
+    return inDescriptors ? null : url;
+  }
+
+  /**
+   * Escapes a value for an output context determined by `#outputContext`.
+   * Values wrapped with `TemplateSMD.safe()` are returned unchanged.
+   *
+   * @param {*} value - The value to escape.
+   * @param {Object} outputContext - The output context.
+   * @param {Object} context - The compile context, for reporting unsafe URLs.
+   * @param {number} start - The offset of the output tag, for reporting unsafe URLs.
+   * @returns {string} The escaped value.
+   * @private
+   */
+  #escapeForContext(value, outputContext, context, start) {
+    if (value instanceof SafeString) {
+      return value.toString();
+    }
+
+    let escaped;
+    switch (outputContext.kind) {
+      case 'js':
+        escaped = this.#escapeJsValue(value);
+        break;
+      case 'jsString':
+        escaped = this.#escapeJsString(this.#stringifyValue(value));
+        break;
+      case 'css':
+        escaped = this.#escapeCss(this.#stringifyValue(value));
+        break;
+      case 'url': {
+        const url = this.#stringifyValue(value);
+        if (outputContext.urlQuery) {
+          escaped = encodeURIComponent(url);
+        } else if (!outputContext.urlStart) {
+          // In the path a value may hold several segments; a `:` is encoded while it could start a scheme.
+          escaped = this.#normalizeUrl(url);
+          if (outputContext.urlScheme) {
+            escaped = escaped.replace(/:/g, '%3A');
+          }
+        } else if (this.#isSafeUrl(url)) {
+          escaped = this.#normalizeUrl(url);
+        } else {
+          this.#report('UNSAFE_URL', `Blocked unsafe URL "${url}".`, { origin: context, start });
+          escaped = UNSAFE_URL_REPLACEMENT;
+        }
+        break;
+      }
+      default:
+        escaped = this.#stringifyValue(value);
+        break;
+    }
+
+    if (!outputContext.inAttribute) {
+      return escaped;
+    }
+    return outputContext.quoted ? this.#escapeHtml(escaped) : this.#escapeUnquotedAttribute(escaped);
+  }
+
+  /**
+   * Escapes a value for an unquoted attribute value by encoding every character
+   * other than letters, digits, `-`, `_` and `.` as a numeric character reference.
+   *
+   * @param {string} value - The value to escape.
+   * @returns {string} The escaped value.
+   * @private
+   */
+  #escapeUnquotedAttribute(value) {
+    return value.replace(/[^A-Za-z0-9\-_.]/g, char => `&#x${char.codePointAt(0).toString(16)};`);
+  }
+
+  /**
+   * Serializes a value as a JavaScript literal for use in a script. Characters that could end
+   * the `<script>` element or a surrounding HTML construct are written as unicode escapes.
+   *
+   * @param {*} value - The value to serialize.
+   * @returns {string} The JavaScript literal; `null` for values JSON cannot represent.
+   * @private
+   */
+  #escapeJsValue(value) {
+    const json = this.#toJson(value);
+    if (json === undefined) {
+      return 'null';
+    }
+    return json.replace(/[<>&\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+  }
+
+  /**
+   * Escapes text for use inside a JavaScript string or template literal, and in a comment or a regular
+   * expression, which it cannot end since line breaks and `/` are escaped as well.
+   *
+   * @param {string} value - The text to escape.
+   * @returns {string} The escaped text, without surrounding quotes.
+   * @private
+   */
+  #escapeJsString(value) {
+    return value.replace(/[\\'"`$<>&/\n\r\t\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+  }
+
+  /**
+   * Escapes text for use in CSS by writing every character other than letters, digits,
+   * spaces, `#`, `%`, `.`, `,`, `-` and `_` as a CSS hex escape.
+   *
+   * @param {string} value - The text to escape.
+   * @returns {string} The escaped text.
+   * @private
+   */
+  #escapeCss(value) {
+    return value.replace(/[^A-Za-z0-9 #%.,\-_]/g, char => `\\${char.codePointAt(0).toString(16)} `);
+  }
+
+  /**
+   * Checks whether a URL is relative or uses a scheme from `SAFE_URL_SCHEMES`.
+   * Whitespace and control characters are ignored, as browsers ignore them when parsing the scheme.
+   *
+   * @param {string} url - The URL to check.
+   * @returns {boolean} Whether the URL is safe to use as a link or resource.
+   * @private
+   */
+  #isSafeUrl(url) {
+    const compact = url.replace(/[\u0000-\u0020]/g, '');
+    const scheme = compact.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+    return !scheme || SAFE_URL_SCHEMES.has(scheme[1].toLowerCase());
+  }
+
+  /**
+   * Percent-encodes characters that are not valid in a URL, leaving reserved characters
+   * and existing percent escapes intact.
+   *
+   * @param {string} url - The URL to normalize.
+   * @returns {string} The normalized URL.
+   * @private
+   */
+  #normalizeUrl(url) {
+    return url.replace(/[^A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=%]/g, char => encodeURIComponent(char));
+  }
+
+  /**
+   * Compiles the body and inverse branches of a block. Both branches start from the HTML state
+   * before the block; the state after the body carries on after the block.
+   *
+   * @param {Object} node - The block node.
+   * @param {Object} context - The compile context.
+   * @returns {Array<function(Object, Object): string>} The body and inverse render functions.
+   * @private
+   */
+  #compileBranches(node, context) {
+    const before = context.html;
+    const renderBody = this.#compileNodes(node.body, context);
+    const after = context.html;
+
+    context.html = before;
+    const renderInverse = this.#compileNodes(node.inverse || [], context);
+    context.html = node.body.length > 0 ? after : context.html;
+
+    return [renderBody, renderInverse];
+  }
+
+  /**
+   * Compiles an `{{#if}}` or `{{#unless}}` block.
+   *
+   * - `{{#if expression}}...{{/if}}`: Includes the content if the expression is truthy.
+   * - `{{#unless expression}}...{{/unless}}`: Includes the content if the expression is falsy.
+   * - `{{else}}` and `{{else if expression}}` branches render when the preceding test fails.
+   *
+   * @param {Object} node - The conditional node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
+   */
+  #compileConditional(node, context) {
+    const test = this.#compileExpression(node.expression, { context, start: node.start, guarded: true });
+    const [renderBody, renderInverse] = this.#compileBranches(node, context);
+    const negate = node.type === 'unless';
+    const select = (scope, state) => (Boolean(test(scope, state)) !== negate ? renderBody : renderInverse);
+
+    return this.#withStream(
+      (scope, state) => select(scope, state)(scope, state),
+      (scope, state) => [[select(scope, state), scope]],
+      { children: [renderBody, renderInverse] }
+    );
+  }
+
+  /**
+   * Compiles an `{{#each}}` block.
+   *
+   * - `{{#each key}} ... {{/each}}`: Iterates over the array, `Set`, `Map`, other iterable or plain object at `key`.
+   * - Each iteration gets its own scope: `this` is the current item, `@index` its index,
+   *   `@order` its index incremented by 1, `@key` its key (the index for arrays and sets),
+   *   `@first` and `@last` whether it is the first or last item and `@length` the item count.
+   *   Other keys are looked up on the item first, then in the enclosing scopes.
+   * - `{{#each key as |item key|}}` also names the item and, optionally, its key.
+   * - An optional `{{ empty }}` or `{{else}}` block defines the content rendered when there are no items.
+   * - `null` and `undefined` render the empty block; strings and other primitives are reported as `NOT_ITERABLE`.
+   *
+   * @param {Object} node - The each node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
+   */
+  #compileEach(node, context) {
+    const getList = this.#compileExpression(node.expression, { context, start: node.start });
+    const [renderBody, renderInverse] = this.#compileBranches(node, context);
+
+    const [itemParam, keyParam] = node.params || [];
+
+    const listEntries = (scope, state) => {
+      const list = getList(scope, state);
+      const entries = this.#iterationEntries(list, { context, start: node.start });
+
+      if (entries === null && list !== undefined && list !== null) {
+        this.#report('NOT_ITERABLE', `{{#each}} expects an array, object or iterable but got ${typeof list}.`, {
+          origin: context,
+          start: node.start
+        });
+      }
+      return entries;
+    };
+
+    const iterationScope = (entries, index, scope) => {
+      const [key, item] = entries[index];
+      const length = entries.length;
+      const vars = { index, order: index + 1, key, first: index === 0, last: index === length - 1, length };
+      let locals = null;
+      if (itemParam) {
+        locals = { [itemParam]: item };
+        if (keyParam) {
+          locals[keyParam] = key;
+        }
+      }
+      return this.#createScope(item, scope, vars, locals);
+    };
+
+    const render = (scope, state) => {
+      const entries = listEntries(scope, state);
+      if (!entries || entries.length === 0) {
+        return renderInverse(scope, state);
+      }
+
+      let output = '';
+      for (let index = 0; index < entries.length; index++) {
+        output += renderBody(iterationScope(entries, index, scope), state);
+      }
+      return output;
+    };
+
+    // Streamed, each iteration is passed on by itself; scopes are created as the loop gets to them.
+    return this.#withStream(render, function* (scope, state) {
+      const entries = listEntries(scope, state);
+      if (!entries || entries.length === 0) {
+        yield [renderInverse, scope];
+        return;
+      }
+      for (let index = 0; index < entries.length; index++) {
+        yield [renderBody, iterationScope(entries, index, scope)];
+      }
+    }, { flushEach: true });
+  }
+
+  /**
+   * Compiles a `{{#with}}` block.
+   *
+   * - `{{#with expression}}...{{/with}}`: Renders the content with the value as the current scope, like a
+   *   loop item: keys are looked up on the value first, then in the enclosing scopes, and `../` leads back.
+   * - `{{#with expression as |name|}}` also names the value.
+   * - `{{else}}` renders when the value is `null` or `undefined`, in the enclosing scope.
+   *
+   * @param {Object} node - The with node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
+   */
+  #compileWith(node, context) {
+    const evaluate = this.#compileExpression(node.expression, { context, start: node.start, guarded: true });
+    const [renderBody, renderInverse] = this.#compileBranches(node, context);
+    const [param] = node.params || [];
+    const select = (scope, state) => {
+      const value = evaluate(scope, state);
+      if (value === undefined || value === null) {
+        return [renderInverse, scope];
+      }
+      return [renderBody, this.#createScope(value, scope, null, param ? { [param]: value } : null)];
+    };
+
+    return this.#withStream((scope, state) => {
+      const [render, inner] = select(scope, state);
+      return render(inner, state);
+    }, (scope, state) => [select(scope, state)], { children: [renderBody, renderInverse] });
+  }
+
+  /**
+   * Compiles a `{{#let name=value...}}` block. The values are evaluated in the enclosing scope and
+   * the content renders with them as local names, which win over the scope's data and over outer
+   * names, like block params. The block does not add a scope level, so `../` and `this` mean the
+   * same inside as outside.
+   *
+   * @param {Object} node - The let node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
+   */
+  #compileLet(node, context) {
+    const site = { context, start: node.start };
+    const values = Object.entries(node.values).map(([name, value]) => [name, this.#compileExpression(value, site)]);
+    const renderBody = this.#compileNodes(node.body, context);
+    const innerScope = (scope, state) => {
+      const locals = { ...scope.locals };
+      for (const [name, evaluate] of values) {
+        locals[name] = evaluate(scope, state);
+      }
+      return { ...scope, locals };
+    };
+
+    return this.#withStream(
+      (scope, state) => renderBody(innerScope(scope, state), state),
+      (scope, state) => [[renderBody, innerScope(scope, state)]],
+      { children: [renderBody] }
+    );
+  }
+
+  /**
+   * Lists the `[key, item]` pairs `{{#each}}` iterates over. In secure mode an object's items are read
+   * like expressions read properties, so a getter is refused instead of run.
+   *
+   * @param {*} value - The value to iterate.
+   * @param {Object} site - Where the `{{#each}}` appears, for error reporting.
+   * @returns {Array<Array>|null} The entries, or `null` if the value cannot be iterated.
+   * @throws {TemplateError} With code `FORBIDDEN_PROPERTY`, if an object has a getter in secure mode.
+   * @private
+   */
+  #iterationEntries(value, site) {
+    if (value instanceof Map) {
+      return Array.from(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return null;
+    }
+    if (typeof value[Symbol.iterator] === 'function') {
+      return Array.from(value, (item, index) => [index, item]);
+    }
+    if (!this.secure) {
+      return Object.keys(value).map(key => [key, value[key]]);
+    }
+
+    return Object.keys(value).map(key => {
+      try {
+        return [key, this.#readOwnProperty(value, key)];
+      } catch (error) {
+        throw this.#createError(error.code, `Cannot iterate over "${key}": ${error.message}`, { origin: site.context, start: site.start });
+      }
+    });
+  }
+
+  /**
+   * Compiles a `{{#block name}}` node and records its body in the compile context.
+   *
+   * Rendered on its own, a block outputs its own body. When the render is part of a layout
+   * chain, the most derived template that defines the block wins.
+   *
+   * @param {Object} node - The block node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
+   */
+  #compileBlock(node, context) {
+    const { name } = node;
+    const renderBody = this.#compileNodes(node.body, context);
+    const traced = this.debug && this.#acceptsComments(context.html);
+
+    if (context.blocks.has(name)) {
+      this.#report('DUPLICATE_BLOCK', `Duplicate {{#block ${name}}}; the first definition is used.`, {
+        origin: context,
+        start: node.start
+      });
+    } else {
+      context.blocks.set(name, renderBody);
+    }
+
+    const render = (scope, state) => {
+      if (!state.layouts) {
+        return renderBody(scope, state);
+      }
+      return this.#renderBlock(name, 0, scope, state, traced);
+    };
+    render.stream = (scope, state) => state.layouts
+      ? this.#streamBlock(name, scope, state, traced)
+      : this.#streamParts([[renderBody, scope]], false, state);
+    return render;
+  }
+
+  /**
+   * Compiles a `{{#fragment name}}` node and records its body in the compile context.
+   * A fragment renders in place as part of the full template and can also be rendered
+   * on its own with `renderFragment`.
+   *
+   * @param {Object} node - The fragment node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
+   */
+  #compileFragment(node, context) {
+    const { name } = node;
+    const renderBody = this.#compileNodes(node.body, context);
+
+    if (context.fragments.has(name)) {
+      this.#report('DUPLICATE_FRAGMENT', `Duplicate {{#fragment ${name}}}; the first definition is used.`, {
+        origin: context,
+        start: node.start
+      });
+    } else {
+      context.fragments.set(name, renderBody);
+    }
+
+    return renderBody;
+  }
+
+  /**
+   * Compiles a `{{#cache key... ttl=seconds}}` node. The body's HTML is kept in the fragment store under the
+   * keys joined with `:`, and later renders with the same keys use it without evaluating the body.
+   *
+   * The asynchronous render methods leave a marker in the output and look the key up once the rest is
+   * rendered, so stores may answer with promises; see `#resolveDeferred`. `renderTemplateString` can only
+   * use an answer that is not a promise, and renders the body otherwise.
+   *
+   * A store that fails counts as a miss: the body is rendered and the failure passed to `onWarning`
+   * as `FRAGMENT_STORE_FAILED`, in any mode, since the template itself is fine. Cached HTML counts
+   * towards `maxOutputSize` like rendered output.
+   *
+   * @param {Object} node - The cache node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
+   */
+  #compileCache(node, context) {
+    const site = { context, start: node.start };
+    const keys = node.keys.map(key => this.#compileExpression(key, site));
+    const evaluateTtl = node.ttl ? this.#compileExpression(node.ttl, site) : null;
+    const renderBody = this.#compileNodes(node.body, context);
+
+    return (scope, state) => {
+      const key = keys.map(evaluate => this.#fragmentKeyPart(evaluate(scope, state))).join(':');
+      const ttl = evaluateTtl ? evaluateTtl(scope, state) : undefined;
+      if (ttl !== undefined && !(typeof ttl === 'number' && ttl > 0)) {
+        this.#report('INVALID_TTL', `{{#cache}} expects ttl to be a positive number of seconds, got ${String(ttl)}.`, {
+          origin: context,
+          start: node.start
+        });
+        return renderBody(scope, state);
+      }
+
+      const store = this.fragmentStore;
+      const failed = error => this.#reportStoreFailure(error, key, node, context);
+      if (state.deferred) {
+        const marker = `\u0000${crypto.randomUUID()}\u0000`;
+        // The counters in `usage` stay shared, so the body counts towards the render's limits.
+        const inner = { ...state, deferred: new Map() };
+        state.deferred.set(marker, async () => {
+          let cached;
+          try {
+            cached = await store.get(key);
+          } catch (error) {
+            failed(error);
+          }
+          if (typeof cached === 'string') {
+            return this.#countOutput(cached, state, node, context);
+          }
+          const html = await this.#resolveDeferred(renderBody(scope, inner), inner.deferred);
+          try {
+            await store.set(key, html, ttl);
+          } catch (error) {
+            failed(error);
+          }
+          return html;
+        });
+        return marker;
+      }
+
+      let cached;
+      try {
+        cached = store.get(key);
+      } catch (error) {
+        failed(error);
+      }
+      if (typeof cached === 'string') {
+        return this.#countOutput(cached, state, node, context);
+      }
+      if (cached && typeof cached.then === 'function') {
+        // The answer comes too late for a synchronous render, but a failed lookup is still reported.
+        cached.then(null, failed);
+        return renderBody(scope, state);
+      }
+      const html = renderBody(scope, state);
+      try {
+        const stored = store.set(key, html, ttl);
+        if (stored && typeof stored.then === 'function') {
+          stored.then(null, failed);
+        }
+      } catch (error) {
+        failed(error);
+      }
+      return html;
+    };
+  }
+
+  /**
+   * Passes a fragment store failure to `onWarning`. It is never thrown: the block renders without the
+   * cache, and a failure noticed after a synchronous render has nobody to throw to.
+   *
+   * @param {*} error - The error from the store.
+   * @param {string} key - The fragment key.
+   * @param {Object} node - The cache node.
+   * @param {Object} context - The compile context.
+   * @private
+   */
+  #reportStoreFailure(error, key, node, context) {
+    if (!this.onWarning) {
+      return;
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    this.onWarning(this.#createError('FRAGMENT_STORE_FAILED', `The fragment store failed for "${key}": ${message}`, {
+      origin: context,
+      start: node.start,
+      cause: error
+    }));
+  }
+
+  /**
+   * Turns a `{{#cache}}` key argument into a part of the fragment key.
+   *
+   * @param {*} value - The argument's value.
+   * @returns {string} The value as text: empty for `null` and `undefined`, JSON for objects.
+   * @private
+   */
+  #fragmentKeyPart(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return typeof value === 'object' && !(value instanceof SafeString) ? this.#toJson(value) ?? '' : String(value);
+  }
+
+  /**
+   * Replaces the markers `{{#cache}}` blocks left in asynchronously rendered output with their HTML,
+   * from the fragment store or rendered now. Lookups run in parallel.
+   *
+   * @param {string} output - The rendered output.
+   * @param {Map<string, function(): Promise<string>>} deferred - The pending blocks by marker; emptied.
+   * @returns {Promise<string>} The output with every marker replaced.
+   * @private
+   */
+  async #resolveDeferred(output, deferred) {
+    if (deferred.size === 0) {
+      return output;
+    }
+
+    const pending = [...deferred];
+    deferred.clear();
+    const results = await Promise.all(pending.map(([, resolve]) => resolve()));
+    return pending.reduce((result, [marker], index) => result.replace(marker, () => results[index]), output);
+  }
 
   /**
-   * Creates an instance of the template handler with the specified options.
-   * * @constructor
-   * @param {Object} [options={}] - Configuration options for the template handler.
-   * @param {string} [options.baseFolder=''] - The base folder path for templates.
-   * @param {string} [options.partialsFolder=''] - The folder path for partial templates.
-   * @param {boolean} [options.enableCache=true] - Whether to enable caching of templates.
+   * Renders the first definition of a block found in the layout chain, starting at `level`.
+   * Level 0 is the template being rendered, each following level the layout it extends.
+   *
+   * @param {string} name - The block name.
+   * @param {number} level - The first level to search.
+   * @param {Object} scope - The current scope.
+   * @param {Object} state - The render state.
+   * @param {boolean} [traced=false] - Whether to wrap the block in debug comments naming the template that defined it.
+   * @returns {string} The rendered block, or an empty string if no level defines it.
+   * @private
    */
-  constructor(options = {}) {
-    const baseFolder = typeof options.baseFolder === 'string' ? options.baseFolder : '';
-    const partialsFolder = typeof options.partialsFolder === 'string' ? options.partialsFolder : '';
+  #renderBlock(name, level, scope, state, traced = false) {
+    for (let current = level; current < state.layouts.length; current++) {
+      const render = state.layouts[current].blocks.get(name);
+      if (!render) {
+        continue;
+      }
 
-    this.baseTemplateFolder = this.#normalizeFolder(baseFolder);
-    this.partialsFolder = this.#normalizeFolder(partialsFolder);
-    this.enableCache = options.enableCache !== false;
+      const previous = state.block;
+      state.block = { name, level: current };
+      try {
+        const output = render(scope, state);
+        return traced
+          ? this.#debugComment(`block "${name}" (${state.layouts[current].name})`) + output + this.#debugComment(`/block "${name}"`)
+          : output;
+      } finally {
+        state.block = previous;
+      }
+    }
+    return '';
+  }
 
-    this.templateCache = new Map();
-    this.partials = new Map();
+  /**
+   * Streams a block like `#renderBlock` renders it from level 0, for `renderToStream`.
+   *
+   * @param {string} name - The block name.
+   * @param {Object} scope - The current scope.
+   * @param {Object} state - The render state.
+   * @param {boolean} traced - Whether to wrap the block in debug comments naming the template that defined it.
+   * @yields {string} The block's output, in pieces.
+   * @private
+   */
+  *#streamBlock(name, scope, state, traced) {
+    const level = state.layouts.findIndex(layout => layout.blocks.has(name));
+    if (level === -1) {
+      return;
+    }
+
+    const previous = state.block;
+    state.block = { name, level };
+    try {
+      if (traced) {
+        yield this.#debugComment(`block "${name}" (${state.layouts[level].name})`);
+      }
+      yield* this.#streamParts([[state.layouts[level].blocks.get(name), scope]], false, state);
+      if (traced) {
+        yield this.#debugComment(`/block "${name}"`);
+      }
+    } finally {
+      state.block = previous;
+    }
   }
 
   /**
-   * Normalizes a folder path by removing trailing slashes and backslashes.
-   * @param {string} [folderPath=''] - The folder path to normalize
-   * @returns {string} The normalized folder path without trailing slashes, or empty string if no path provided
+   * Renders `{{ super }}`: the definition of the current block in the layouts above the one being rendered.
+   *
+   * @param {Object} scope - The current scope.
+   * @param {Object} state - The render state.
+   * @returns {string} The parent block's content, or an empty string outside a layout chain.
    * @private
    */
-  #normalizeFolder(folderPath = '') {
-    return folderPath ? folderPath.replace(/[\\/]+$/, '') : '';
+  #renderSuper(scope, state) {
+    if (!state.layouts || !state.block) {
+      return '';
+    }
+    return this.#renderBlock(state.block.name, state.block.level + 1, scope, state);
   }
 
   /**
-   * Sets the base template folder path.
+   * Compiles a partial node (`{{> partialName }}`). Without arguments the partial is rendered with
+   * the caller's scope; with a context or hash arguments it gets a scope of its own, see `#compilePartialScope`.
+   * If the partial is missing, it is reported as `MISSING_PARTIAL` and renders as an empty string.
+   * Partials nested deeper than `maxPartialDepth`, usually a partial including itself, throw `PARTIAL_DEPTH_EXCEEDED`.
    *
-   * @param {string} folderPath - The path to the base template folder. 
-   * Must be a string and will be normalized after trimming.
-   * @throws {Error} Throws an error if the provided folderPath is not a string.
+   * @param {Object} node - The partial node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @throws {TemplateError} If the partial depth limit is exceeded.
+   * @private
    */
-  setBaseTemplateFolder(folderPath) {
-    if (typeof folderPath !== 'string') {
-      throw new Error('Base folder must be a string.');
+  #compilePartial(node, context) {
+    const { name } = node;
+    if (name.startsWith('@')) {
+      return this.#compileSlot(name.slice(1), null);
     }
-    this.baseTemplateFolder = this.#normalizeFolder(folderPath.trim());
+
+    const createScope = this.#compilePartialScope(node, context);
+    const traced = this.debug && this.#acceptsComments(context.html);
+    context.partials.add(name);
+
+    return (scope, state) => {
+      const partial = this.#getCompiledPartial(name);
+      if (!partial) {
+        this.#report('MISSING_PARTIAL', `Missing partial "${name}".`, { origin: context, start: node.start });
+        return '';
+      }
+      const { maxPartialDepth } = this.limits;
+      if (state.partialDepth >= maxPartialDepth) {
+        throw this.#createError('PARTIAL_DEPTH_EXCEEDED', `Partials are nested more than ${maxPartialDepth} levels deep at "${name}"; does it include itself?`, {
+          origin: context,
+          start: node.start
+        });
+      }
+
+      const started = this.#hooks.has('partialRendered') ? performance.now() : null;
+      let output;
+      state.partialDepth++;
+      try {
+        output = partial.renderBody(createScope(scope, state), state);
+      } finally {
+        state.partialDepth--;
+      }
+
+      if (started !== null) {
+        this.#emit('partialRendered', {
+          name,
+          source: partial.name,
+          parent: context.name,
+          depth: state.partialDepth + 1,
+          duration: performance.now() - started
+        });
+      }
+      if (!traced) {
+        return output;
+      }
+      const label = partial.name ? `partial "${name}" (${partial.name})` : `partial "${name}"`;
+      return this.#debugComment(label) + output + this.#debugComment(`/partial "${name}"`);
+    };
   }
 
   /**
-   * Sets the folder path for partial templates.
+   * Compiles a block partial (`{{#> name }}...{{/name}}`).
    *
-   * @param {string} folderPath - The path to the folder containing partial templates.
-   * @throws {Error} Throws an error if the provided folderPath is not a string.
+   * The caller's content is passed to the partial as slots: each `{{#slot "name"}}` directly inside
+   * the block becomes the slot `@name`, and the rest of the content the slot `@body`. Slots render
+   * in the caller's scope. `{{#> @name}}fallback{{/@name}}` inside a partial renders the slot, or
+   * the fallback content when the caller did not fill it.
+   *
+   * @param {Object} node - The partial block node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
    */
-  setPartialsFolder(folderPath) {
-    if (typeof folderPath !== 'string') {
-      throw new Error('Partials folder must be a string.');
+  #compilePartialBlock(node, context) {
+    const before = context.html;
+
+    if (node.name.startsWith('@')) {
+      const renderFallback = this.#compileNodes(node.body, context);
+      context.html = before;
+      return this.#compileSlot(node.name.slice(1), renderFallback);
     }
-    this.partialsFolder = this.#normalizeFolder(folderPath.trim());
+
+    const slots = new Map();
+    const content = [];
+    for (const child of node.body) {
+      if (child.type !== 'slot') {
+        content.push(child);
+      } else if (slots.has(child.name) || child.name === 'body') {
+        this.#report('DUPLICATE_SLOT', `Duplicate {{#slot ${child.name}}}; the first definition is used.`, {
+          origin: context,
+          start: child.start
+        });
+      } else {
+        slots.set(child.name, this.#compileNodes(child.body, context));
+        context.html = before;
+      }
+    }
+    if (content.some(child => child.type !== 'text' || child.value.trim() !== '')) {
+      slots.set('body', this.#compileNodes(content, context));
+      context.html = before;
+    }
+
+    const render = this.#compilePartial({ ...node, type: 'partial' }, context);
+    return (scope, state) => render({ ...scope, slots: { renderers: slots, scope } }, state);
   }
 
   /**
-   * Registers a partial template with a given name.
+   * Compiles the scope a partial renders with.
    *
-   * @param {string} name - The name of the partial. Must be a non-empty string.
-   * @param {string} template - The template content as a string.
-   * @throws {Error} Throws an error if the name is not a non-empty string.
-   * @throws {Error} Throws an error if the template is not a string.
+   * - `{{> card }}` renders with the caller's scope.
+   * - `{{> card item }}` renders with `item` as its data.
+   * - `{{> card title=item.name }}` renders with the hash arguments as its data, merged over the
+   *   context if one is given.
+   *
+   * With a context or hash arguments, names the partial's data does not define are still looked up
+   * in the caller's scope, and `../` leads back to it.
+   *
+   * @param {Object} node - The partial node.
+   * @param {Object} context - The compile context.
+   * @returns {function(Object, Object): Object} A function taking the caller's scope and the render state
+   * and returning the partial's scope.
+   * @private
    */
-  registerPartial(name, template) {
-    if (typeof name !== 'string' || !name.trim()) {
-      throw new Error('Partial name must be a non-empty string.');
+  #compilePartialScope(node, context) {
+    const site = { context, start: node.start };
+    const evaluateContext = node.context ? this.#compileExpression(node.context, site) : null;
+    const hash = Object.entries(node.hash || {}).map(([key, value]) => [key, this.#compileExpression(value, site)]);
+
+    if (!evaluateContext && hash.length === 0) {
+      return scope => scope;
     }
-    if (typeof template !== 'string') {
-      throw new Error('Partial template must be a string.');
+
+    return (scope, state) => {
+      const base = evaluateContext ? evaluateContext(scope, state) : undefined;
+      if (hash.length === 0) {
+        return this.#createScope(base, scope);
+      }
+
+      const data = base !== null && typeof base === 'object' ? { ...base } : {};
+      for (const [key, evaluate] of hash) {
+        data[key] = evaluate(scope, state);
+      }
+      return this.#createScope(data, scope);
+    };
+  }
+
+  /**
+   * Compiles `{{> @name }}`, which renders a slot of the innermost block partial being rendered.
+   *
+   * @param {string} name - The slot name without the `@`.
+   * @param {function(Object, Object): string|null} renderFallback - Renders the content used when the slot is not filled.
+   * @returns {function(Object, Object): string} The render function.
+   * @private
+   */
+  #compileSlot(name, renderFallback) {
+    return (scope, state) => {
+      let current = scope;
+      while (current && !current.slots) {
+        current = current.parent;
+      }
+
+      const slots = current && current.slots;
+      const render = slots && slots.renderers.get(name);
+      if (render) {
+        return render(slots.scope, state);
+      }
+      return renderFallback ? renderFallback(scope, state) : '';
+    };
+  }
+
+  /**
+   * Returns the compiled form of a partial, compiling registered partials on first use.
+   * Registered partials take precedence over partials loaded from the partials folder.
+   *
+   * @param {string} name - The partial name.
+   * @returns {Object|null} The compiled partial, or `null` if no partial is available under `name`.
+   * @private
+   */
+  #getCompiledPartial(name) {
+    if (!this.partials.has(name)) {
+      return this.#filePartials.get(name) || null;
     }
-    this.partials.set(name.trim(), template);
+
+    const source = this.partials.get(name);
+    const cached = this.#compiledPartials.get(name);
+    if (cached && cached.source === source) {
+      return cached;
+    }
+
+    const compiled = this.#compile(source);
+    this.#compiledPartials.set(name, compiled);
+    return compiled;
   }
 
   /**
-   * Registers a partial template from a file.
+   * Loads the layouts a compiled template extends, following `{{#extends}}` up to the root layout.
+   * Layout paths resolve like template files, through the same loader and cache.
    *
-   * @param {string} name - The name to register the partial under.
-   * @param {string} [filePath] - The explicit file path to the partial template. If not provided, the method will use the `partialsFolder` property and the `name` to construct the file path.
-   * @throws {Error} Throws an error if neither `partialsFolder` nor `filePath` is provided.
-   * @returns {Promise<string>} The content of the registered partial template.
+   * @param {Object} compiled - The compiled template.
+   * @returns {Promise<Array<Object>>} The chain, starting with `compiled` and ending with the root layout.
+   * @throws {TemplateError} If a layout does not exist or extends itself directly or indirectly.
+   * @private
    */
-  async registerPartialFromFile(name, filePath) {
-    if (!this.partialsFolder && !filePath) {
-      throw new Error('Set a partials folder or provide an explicit file path.');
+  async #loadLayoutChain(compiled) {
+    const chain = [compiled];
+    const seen = new Set([compiled.name]);
+    let current = compiled;
+
+    while (current.extends) {
+      const id = await this.#resolveTemplate(current.extends, 'layout', current.name);
+      if (id == null) {
+        throw this.#createError('TEMPLATE_READ_FAILED', `Layout "${current.extends}" was not found.`, { origin: { name: current.name } });
+      }
+      if (seen.has(id)) {
+        throw this.#createError('CIRCULAR_LAYOUT', 'Circular layout inheritance.', { origin: { name: id } });
+      }
+      seen.add(id);
+      current = await this.#loadCompiledTemplate(id);
+      chain.push(current);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Loads the partials a set of templates include through the loader, and the partials those
+   * include in turn. `{{> forms/input }}` resolves to `<partialsFolder>/forms/input.html` by default.
+   * Partials go through the template cache, so an unchanged partial is neither re-read nor re-compiled.
+   * Names with no matching file are left for the render to report as missing.
+   *
+   * @param {Array<Object>} templates - The compiled templates whose partials should be loaded.
+   * @param {Set<string>} [seen=new Set()] - Partial names already handled.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #loadPartials(templates, seen = new Set()) {
+    const next = [];
+    const pending = [];
+
+    for (const template of templates) {
+      for (const name of template.partials) {
+        if (seen.has(name)) {
+          continue;
+        }
+        seen.add(name);
+
+        if (this.partials.has(name)) {
+          next.push(this.#getCompiledPartial(name));
+        } else {
+          pending.push(name);
+        }
+      }
     }
 
-    const targetPath = filePath
-      ? filePath
-      : path.join(this.partialsFolder, `${name}.html`);
+    const loaded = await Promise.all(pending.map(name => this.#loadFilePartial(name)));
+    next.push(...loaded.filter(Boolean));
 
-    const absolutePath = this.#resolveFilePath(targetPath);
-    const template = await this.#readTemplateFromFile(absolutePath);
+    if (next.length > 0) {
+      await this.#loadPartials(next, seen);
+    }
+  }
 
-    this.registerPartial(name, template);
-    return template;
+  /**
+   * Loads and compiles a partial through the loader, from the partials folder by default.
+   *
+   * @param {string} name - The partial name, which may include subdirectories.
+   * @returns {Promise<Object|null>} The compiled partial, or `null` if the loader has no such partial.
+   * @throws {Error} If the partial exists but cannot be loaded.
+   * @private
+   */
+  async #loadFilePartial(name) {
+    try {
+      const id = await this.#resolveTemplate(name, 'partial');
+      const compiled = id == null ? null : await this.#loadCompiledTemplate(id);
+      if (compiled) {
+        this.#filePartials.set(name, compiled);
+      } else {
+        this.#filePartials.delete(name);
+      }
+      return compiled;
+    } catch (error) {
+      // The file was removed between resolving and reading it.
+      if (error.code === 'ENOENT') {
+        this.#filePartials.delete(name);
+        return null;
+      }
+      throw error;
+    }
   }
 
   /**
-   * Clears the template cache by removing all stored entries.
+   * Loads everything a compiled template needs before it can be rendered synchronously:
+   * its layout chain, the partials any template in the chain includes and the message catalogs.
+   *
+   * @param {Object} compiled - The compiled template.
+   * @param {string|null} [locale=this.locale] - The render's locale, whose message catalogs are loaded as well.
+   * @returns {Promise<Array<Object>>} The layout chain.
+   * @private
    */
-  clearCache() {
-    this.templateCache.clear();
+  async #loadDependencies(compiled, locale = this.locale) {
+    const chain = await this.#loadLayoutChain(compiled);
+    await Promise.all([this.#loadPartials(chain), this.#loadCatalogs(locale)]);
+    return chain;
   }
 
   /**
-   * Invalidates the cached template for the specified file path.
+   * Renders a compiled template with the given bindings.
+   * With a layout chain, the root layout is rendered and its blocks are filled from the chain.
    *
-   * This method resolves the given file path to its absolute path
-   * and removes the corresponding entry from the template cache.
+   * @param {Object} compiled - The compiled template.
+   * @param {Object} bindings - The template bindings.
+   * @param {Array<Object>} [chain=[compiled]] - The layout chain from `#loadDependencies`.
+   * @param {string|null} [locale=this.locale] - The render's locale.
+   * @returns {string} The rendered output.
+   * @private
+   */
+  #renderCompiled(compiled, bindings, chain = [compiled], locale = this.locale) {
+    const root = chain[chain.length - 1];
+    return this.#traceRender({ template: compiled.name, locale }, () => (
+      root.renderBody(this.#createScope(bindings), this.#createRenderState(root, chain, locale))
+    ), chain);
+  }
+
+  /**
+   * Renders a compiled template like `#renderCompiled`, for the asynchronous render methods:
+   * `{{#cache}}` blocks are looked up in the fragment store after the rest of the template is rendered.
    *
-   * @param {string} filePath - The relative or absolute path of the file
-   * whose cache entry should be invalidated.
+   * @param {Array<Object>} chain - The layout chain from `#loadDependencies`.
+   * @param {Object} bindings - The template bindings.
+   * @param {string|null} locale - The render's locale.
+   * @returns {Promise<string>} The rendered output.
+   * @private
+   */
+  #renderLoaded(chain, bindings, locale) {
+    const root = chain[chain.length - 1];
+    return this.#traceRender({ template: chain[0].name, locale }, () => {
+      const state = this.#createRenderState(root, chain, locale, new Map());
+      return this.#resolveDeferred(root.renderBody(this.#createScope(bindings), state), state.deferred);
+    }, chain);
+  }
+
+  /**
+   * Renders a compiled template piece by piece, for streaming. Output is passed on between top-level nodes,
+   * inside blocks and conditionals and after each `{{#each}}` iteration; partials and `{{#cache}}` blocks
+   * are passed on whole.
+   *
+   * @param {Array<Object>} chain - The layout chain from `#loadDependencies`.
+   * @param {Object} bindings - The template bindings.
+   * @param {string|null} locale - The render's locale.
+   * @yields {string} The output, in pieces, with its `{{#cache}}` blocks filled in.
+   * @private
+   */
+  async *#renderChunks(chain, bindings, locale) {
+    const root = chain[chain.length - 1];
+    const scope = this.#createScope(bindings);
+    const state = this.#createRenderState(root, chain, locale, new Map());
+    const info = { template: chain[0].name, locale };
+    const traced = this.debug && info.template !== null;
+
+    this.#emit('beforeRender', info);
+    const started = this.#hooks.has('afterRender') ? performance.now() : null;
+    const [open, close] = traced ? this.#debugFrame(info.template, chain) : [];
+    let size = 0;
+    try {
+      if (traced) {
+        size += open.length;
+        yield open;
+      }
+      for (const piece of root.renderBody.stream(scope, state)) {
+        const chunk = await this.#resolveDeferred(piece, state.deferred);
+        size += chunk.length;
+        yield chunk;
+      }
+      if (traced) {
+        size += close.length;
+        yield close;
+      }
+    } catch (error) {
+      if (started !== null) {
+        this.#emit('afterRender', { ...info, duration: performance.now() - started, error });
+      }
+      throw error;
+    }
+    if (started !== null) {
+      this.#emit('afterRender', { ...info, duration: performance.now() - started, size });
+    }
+  }
+
+  /**
+   * Creates the mutable state shared by everything rendered in one render call.
+   *
+   * @param {Object} template - The compiled template the render starts from.
+   * @param {Array<Object>} chain - The layout chain.
+   * @param {string|null} locale - The locale used by `{{t}}` and the `Intl` based filters.
+   * @param {Map<string, Function>|null} [deferred=null] - Collects the `{{#cache}}` blocks of an asynchronous render,
+   * see `#resolveDeferred`; `null` for a synchronous render.
+   * @returns {Object} The render state.
+   * @private
+   */
+  #createRenderState(template, chain, locale, deferred = null) {
+    return {
+      deferred,
+      template: template.name,
+      layouts: chain.length > 1 ? chain : null,
+      block: null,
+      locale,
+      partialDepth: 0,
+      // Shared by reference with the states `{{#cache}}` blocks render their bodies with later.
+      usage: { outputSize: 0 },
+      deadline: Date.now() + this.limits.maxRenderTime
+    };
+  }
+
+  /**
+   * Works out the locale of a render from its options.
+   *
+   * @param {Object} [options] - The render options.
+   * @returns {string|null} `options.locale`, or the engine's default locale.
+   * @private
+   */
+  #renderLocale(options) {
+    return options && typeof options.locale === 'string' && options.locale ? options.locale : this.locale;
+  }
+
+  /**
+   * Loads a compiled template's layouts and partials and renders it.
+   *
+   * @param {Object} compiled - The compiled template.
+   * @param {Object} bindings - The template bindings.
+   * @param {string|null} locale - The render's locale.
+   * @returns {Promise<string>} The rendered output.
+   * @private
+   */
+  async #renderWithLayouts(compiled, bindings, locale) {
+    const chain = await this.#loadDependencies(compiled, locale);
+    return this.#renderLoaded(chain, bindings, locale);
+  }
+
+  /**
+   * Renders a template string by compiling it and applying the bindings.
+   * Partials, conditionals, loops and placeholders are resolved in a single pass over the parsed template.
+   *
+   * @param {string} html - The template string to be rendered.
+   * @param {Object} [bindings={}] - An object containing key-value pairs for template bindings.
+   * @param {string|number|boolean|Object|Array} [bindings.key] - The values to replace placeholders, conditionals, and loops in the template.
+   * @param {Object} [options={}] - Rendering options.
+   * @param {string} [options.locale] - The locale for `{{t}}` and the `Intl` based filters. Only catalogs
+   * that are registered or were loaded by an earlier render are available here.
+   * @returns {string} The rendered template string with all bindings applied.
+   * If the provided `html` is not a string, the problem is reported and an empty string is returned.
+   * Layouts are loaded from disk, so `{{#extends}}` is only honoured by the asynchronous `render` methods;
+   * here the template is rendered on its own.
+   */
+  renderTemplateString(html, bindings = {}, options = {}) {
+    if (typeof html !== 'string') {
+      this.#report('INVALID_TEMPLATE', 'Template must be a string.');
+      return '';
+    }
+
+    const compiled = this.#compile(html);
+    if (compiled.extends) {
+      this.#report('EXTENDS_IGNORED', `{{#extends "${compiled.extends}"}} is ignored by renderTemplateString; use render() instead.`);
+    }
+    return this.#renderCompiled(compiled, bindings, [compiled], this.#renderLocale(options));
+  }
+
+  /**
+   * Renders a template string. Unlike `renderTemplateString`, layouts and partials are loaded
+   * through the loader first, so `{{#extends}}` and partials from the partials folder work.
+   *
+   * @param {string} source - The template source.
+   * @param {Object} [bindings={}] - An object containing key-value pairs to bind to the template.
+   * @param {Object} [options={}] - Rendering options.
+   * @param {string} [options.locale] - The locale for `{{t}}` and the `Intl` based filters.
+   * @returns {Promise<string>} A promise that resolves to the rendered template.
+   * @throws {Error} Throws an error if the source is not a string.
+   */
+  async renderString(source, bindings = {}, options = {}) {
+    if (typeof source !== 'string') {
+      throw new Error('Template source must be a string.');
+    }
+    return this.#renderWithLayouts(this.#compile(source), bindings, this.#renderLocale(options));
+  }
+
+  /**
+   * Renders a template file with the given bindings.
+   * The file is compiled once and the compiled template is cached alongside its mtime.
+   * If the template starts with `{{#extends "layout.html"}}`, the layout chain is rendered
+   * with this template's `{{#block}}` overrides.
+   *
+   * The name goes to the loader: by default a path relative to the base folder or absolute, where a
+   * name without one of the `extensions` is tried with each of them, e.g. `emails/welcome` for `emails/welcome.txt`.
+   *
+   * @param {string} filePath - The template name.
+   * @param {Object} [bindings={}] - An object containing key-value pairs to bind to the template.
+   * @param {Object} [options={}] - Rendering options.
+   * @param {string} [options.locale] - The locale for `{{t}}` and the `Intl` based filters.
+   * @returns {Promise<string>} A promise that resolves to the rendered template.
+   * @throws {TemplateError} If the template does not exist or cannot be read (code `TEMPLATE_READ_FAILED`, with the
+   * original error as `cause`), or, in strict mode, if the template has a problem.
+   */
+  async renderFile(filePath, bindings = {}, options = {}) {
+    const locale = this.#renderLocale(options);
+    const chain = await this.#loadFileTemplate(filePath, locale);
+    return this.#renderLoaded(chain, bindings, locale);
+  }
+
+  /**
+   * Renders a template file with the given bindings; the same as `renderFile`.
+   *
+   * @param {string} filePath - The template name.
+   * @param {Object} [bindings={}] - An object containing key-value pairs to bind to the template.
+   * @param {Object} [options={}] - Rendering options, see `renderFile`.
+   * @returns {Promise<string>} A promise that resolves to the rendered template.
+   * @throws {TemplateError} If the template does not exist or cannot be read, or, in strict mode, if it has a problem.
+   */
+  renderTemplateFile(filePath, bindings = {}, options = {}) {
+    return this.renderFile(filePath, bindings, options);
+  }
+
+  /**
+   * Loads a template file with its layouts, partials and message catalogs.
+   *
+   * @param {string} filePath - The template name: a file path, relative to the base folder or absolute, by default.
+   * @param {string|null} locale - The render's locale.
+   * @returns {Promise<Array<Object>>} The layout chain, starting with the compiled template.
+   * @throws {TemplateError} If the template does not exist or cannot be read (code `TEMPLATE_READ_FAILED`).
+   * @private
+   */
+  async #loadFileTemplate(filePath, locale) {
+    let id = null;
+
+    try {
+      id = await this.#resolveTemplate(filePath, 'template');
+      if (id == null) {
+        throw this.#createError('TEMPLATE_READ_FAILED', 'Template file was not found.', { origin: { name: filePath } });
+      }
+      const compiled = await this.#loadCompiledTemplate(id);
+      return await this.#loadDependencies(compiled, locale);
+    } catch (err) {
+      if (err instanceof TemplateError) {
+        throw err;
+      }
+      throw this.#createError('TEMPLATE_READ_FAILED', 'Template file could not be read.', {
+        origin: { name: id || filePath },
+        cause: err
+      });
+    }
+  }
+
+  /**
+   * Renders a single `{{#fragment}}` of a template file, e.g. the rows of a table for an HTMX swap.
+   * The fragment is rendered with the same bindings as the full page would be; the rest of the
+   * template is skipped. Fragments defined in a layout the template extends are found as well,
+   * with the template's own definitions taking precedence.
+   *
+   * @param {string} filePath - The template file path, relative to the base folder or absolute.
+   * @param {string} name - The fragment name.
+   * @param {Object} [bindings={}] - An object containing key-value pairs to bind to the template.
+   * @param {Object} [options={}] - Rendering options.
+   * @param {string} [options.locale] - The locale for `{{t}}` and the `Intl` based filters.
+   * @returns {Promise<string>} A promise that resolves to the rendered fragment.
+   * @throws {TemplateError} If the template does not define the fragment.
+   * @throws {Error} If the template cannot be read.
+   */
+  async renderFragment(filePath, name, bindings = {}, options = {}) {
+    const [html] = await this.#renderFragmentList(filePath, [name], bindings, this.#renderLocale(options));
+    return html;
+  }
+
+  /**
+   * Renders several `{{#fragment}}` sections of a template file and concatenates them.
+   *
+   * With the `oob` option each fragment is marked for an HTMX out-of-band swap: an
+   * `hx-swap-oob` attribute is added to the fragment's first element, or, if the fragment
+   * does not start with an element, it is wrapped in a `<div>` whose id is the fragment name.
+   *
+   * @param {string} filePath - The template file path, relative to the base folder or absolute.
+   * @param {Array<string>} names - The fragment names, in output order.
+   * @param {Object} [bindings={}] - An object containing key-value pairs to bind to the template.
+   * @param {Object} [options={}] - Rendering options.
+   * @param {boolean|string} [options.oob=false] - `true` for `hx-swap-oob="true"`, or a swap value such as `"innerHTML"`.
+   * @param {string} [options.locale] - The locale for `{{t}}` and the `Intl` based filters.
+   * @returns {Promise<string>} A promise that resolves to the rendered fragments.
+   * @throws {TemplateError} If the template does not define one of the fragments.
+   * @throws {Error} If the template cannot be read.
    */
-  invalidateTemplateCache(filePath) {
-    const absolutePath = this.#resolveFilePath(filePath);
-    this.templateCache.delete(absolutePath);
+  async renderFragments(filePath, names, bindings = {}, options = {}) {
+    if (!Array.isArray(names)) {
+      throw new Error('renderFragments expects an array of fragment names.');
+    }
+
+    const rendered = await this.#renderFragmentList(filePath, names, bindings, this.#renderLocale(options));
+    if (!options.oob) {
+      return rendered.join('');
+    }
+
+    const swap = options.oob === true ? 'true' : String(options.oob);
+    return rendered.map((html, index) => this.#markOutOfBand(html, names[index], swap)).join('');
   }
 
   /**
-   * Retrieves the value of a nested property from an object based on a dot-separated path string.
+   * Renders the named fragments of a template file.
    *
-   * @param {Object} obj - The object from which to retrieve the nested value.
-   * @param {string} pathKey - A dot-separated string representing the path to the desired property.
-   * @returns {*} The value of the nested property, or `undefined` if the path does not exist or the input is invalid.
+   * @param {string} filePath - The template file path.
+   * @param {Array<string>} names - The fragment names.
+   * @param {Object} bindings - The template bindings.
+   * @param {string|null} locale - The render's locale.
+   * @returns {Promise<Array<string>>} The rendered fragments, in the order of `names`.
+   * @private
    */
-  #getNestedValue(obj, pathKey) {
-    if (obj == null || typeof pathKey !== 'string') {
-      return undefined;
-    }
-    return pathKey.split('.').reduce((acc, part) => {
-      if (acc == null) {
-        return undefined;
+  async #renderFragmentList(filePath, names, bindings, locale) {
+    const chain = await this.#loadFileTemplate(filePath, locale);
+
+    const owners = names.map(name => {
+      const owner = chain.find(template => template.fragments.has(name));
+      if (!owner) {
+        throw this.#createError('FRAGMENT_NOT_FOUND', `Fragment "${name}" is not defined.`, { origin: { name: chain[0].name } });
       }
-      return acc[part];
-    }, obj);
+      return owner;
+    });
+
+    return Promise.all(names.map((name, index) => {
+      const owner = owners[index];
+      return this.#traceRender({ template: chain[0].name, locale, fragment: name }, () => {
+        const state = this.#createRenderState(owner, chain, locale, new Map());
+        return this.#resolveDeferred(owner.fragments.get(name)(this.#createScope(bindings), state), state.deferred);
+      });
+    }));
   }
 
   /**
-   * Escapes special HTML characters in a given value to prevent XSS attacks.
-   * Converts the value to a string and replaces the following characters:
-   * - `&` with `&amp;`
-   * - `<` with `&lt;`
-   * - `>` with `&gt;`
-   * - `"` with `&quot;`
-   * - `'` with `&#39;`
+   * Marks rendered fragment HTML for an HTMX out-of-band swap. HTMX swaps an out-of-band element into
+   * the element with the same id, so a first element without an id gets the fragment name as its id,
+   * unless the swap names its own target, as in `innerHTML:#count`.
    *
-   * @param {*} value - The value to be escaped. It will be converted to a string.
-   * @returns {string} The escaped string with special HTML characters replaced.
+   * @param {string} html - The rendered fragment.
+   * @param {string} name - The fragment name, used as the id of the element or of a wrapper if one is needed.
+   * @param {string} swap - The `hx-swap-oob` value.
+   * @returns {string} The marked HTML.
    * @private
    */
-  #escapeHtml(value) {
-    const stringValue = this.#stringifyValue(value);
-    return stringValue
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#39;');
+  #markOutOfBand(html, name, swap) {
+    const id = `id="${this.#escapeHtml(name)}"`;
+    const attribute = `hx-swap-oob="${this.#escapeHtml(swap)}"`;
+    const match = html.match(/^(\s*(?:<!--[\s\S]*?-->\s*)*<[a-zA-Z][\w:-]*)([^>]*)>/);
+
+    if (!match) {
+      return `<div ${id} ${attribute}>${html}</div>`;
+    }
+    if (/\shx-swap-oob\s*=/i.test(match[2])) {
+      return html;
+    }
+    const targeted = /\sid\s*=/i.test(match[2]) || String(swap).includes(':');
+    return `${match[1]}${targeted ? '' : ` ${id}`} ${attribute}${html.slice(match[1].length)}`;
   }
 
   /**
-   * Converts a given value into a string representation.
+   * Renders a template using the provided bindings. The template can either be a file path
+   * (a single line ending with one of the `extensions`, `.html` by default) or a template string.
+   * If a file path is provided, it renders the template file; otherwise, it renders the template string.
+   * Use `renderFile` or `renderString` to say which it is, e.g. for names without an extension.
    *
-   * @param {*} value - The value to be converted. Can be of any type.
-   * @returns {string} The string representation of the value. Returns an empty string
-   * if the value is `null`, `undefined`, or if an error occurs during stringification.
+   * @param {string} templateOrFile - The template to render, either as a file path or a string.
+   * @param {Object} [bindings={}] - An object containing key-value pairs to bind to the template.
+   * @param {Object} [options={}] - Rendering options.
+   * @param {string} [options.locale] - The locale for `{{t}}` and the `Intl` based filters.
+   * @returns {Promise<string>} A promise that resolves to the rendered template as a string.
    */
-  #stringifyValue(value) {
-    if (value === null || value === undefined) {
-      return '';
-    }
-    if (typeof value === 'string') {
-      return value;
-    }
-    if (typeof value === 'number' || typeof value === 'bigint' || typeof value === 'boolean') {
-      return String(value);
+  render(templateOrFile, bindings = {}, options = {}) {
+    if (typeof templateOrFile !== 'string') {
+      return Promise.resolve(this.renderTemplateString(templateOrFile, bindings, options));
     }
-    try {
-      return JSON.stringify(value);
-    } catch {
-      return '';
+
+    if (this.#looksLikeFile(templateOrFile)) {
+      return this.renderFile(templateOrFile, bindings, options);
     }
+
+    return this.renderString(templateOrFile, bindings, options);
   }
 
   /**
-   * Resolves the absolute file path for a given template file path.
-   * If the provided file path is already absolute, it is returned as is.
-   * Otherwise, it resolves the path relative to the base template folder
-   * or the current working directory.
+   * Tells a template name from a template source for `render` and `analyze`: a name is a single
+   * line without tags that ends with one of the `extensions`.
    *
-   * @param {string} filePath - The file path to resolve. Must be a non-empty string.
-   * @returns {string} The resolved absolute file path.
-   * @throws {Error} If the provided file path is not a non-empty string.
+   * @param {string} value - The template name or source.
+   * @returns {boolean} Whether `value` is taken as a template name.
+   * @private
    */
-  #resolveFilePath(filePath) {
-    if (typeof filePath !== 'string' || !filePath.trim()) {
-      throw new Error('Template path must be a non-empty string.');
+  #looksLikeFile(value) {
+    const trimmed = value.trim();
+    return !/[\r\n]/.test(trimmed)
+      && !trimmed.includes(this.delimiters[0])
+      && this.extensions.some(extension => trimmed.endsWith(extension));
+  }
+
+  /**
+   * Renders multiple sections by processing either template files or template strings.
+   *
+   * @async
+   * @function
+   * @param {Array<Object>} sections - An array of section objects to render.
+   * @param {string} [sections[].file] - The file path to the template file to render.
+   * @param {string} [sections[].template] - The template string to render.
+   * @param {Object} [sections[].bindings={}] - The data bindings to use for rendering the template.
+   * @param {string} [sections[].locale] - The section's locale, overriding `options.locale`.
+   * @param {Object} [options={}] - Rendering options.
+   * @param {string} [options.locale] - The locale for `{{t}}` and the `Intl` based filters.
+   * @returns {Promise<string>} A promise that resolves to the concatenated rendered output of all sections.
+   * @throws {Error} If `sections` is not an array or if a section does not have a valid `file` or `template` property.
+   */
+  async renderMultiple(sections = [], options = {}) {
+    if (!Array.isArray(sections)) {
+      throw new Error('renderMultiple expects an array of section objects.');
     }
 
-    const trimmed = filePath.trim();
+    const results = await Promise.all(
+      sections.map(async section => {
+        const locale = this.#sectionLocale(section, options);
+        const chain = await this.#loadSection(section, locale);
+        return this.#renderLoaded(chain, section.bindings || {}, locale);
+      })
+    );
 
-    if (path.isAbsolute(trimmed)) {
-      return trimmed;
-    }
+    return results.join('');
+  }
 
-    if (this.baseTemplateFolder) {
-      const baseRoot = path.isAbsolute(this.baseTemplateFolder)
-        ? this.baseTemplateFolder
-        : path.join(process.cwd(), this.baseTemplateFolder);
-      return path.join(baseRoot, trimmed);
-    }
+  /**
+   * Renders a template file, or a list of sections in the `renderMultiple` format, to a Node.js stream.
+   *
+   * Output is pushed as soon as it is ready: all sections start loading at once, and each section
+   * is written as soon as it and the sections before it are loaded, in pieces: output is passed on
+   * between top-level nodes, inside blocks and after each `{{#each}}` item, while partials and
+   * `{{#cache}}` blocks are written whole. The stream can be piped into an HTTP response, or consumed with `for await`.
+   *
+   * Example:
+   * ```javascript
+   * engine.renderToStream([
+   *   { file: 'partials/header.html', bindings: { title: 'Report' } },
+   *   { file: 'reports/table.html', bindings: { rows } },
+   *   { file: 'partials/footer.html' }
+   * ]).pipe(res);
+   * ```
+   *
+   * @param {string|Array<Object>} fileOrSections - A template file path, or sections as accepted by `renderMultiple`.
+   * @param {Object} [bindings={}] - The bindings for a template file. Sections carry their own bindings.
+   * @param {Object} [options={}] - Rendering options.
+   * @param {string} [options.locale] - The locale for `{{t}}` and the `Intl` based filters.
+   * @returns {Readable} A readable stream of UTF-8 encoded HTML. Errors are emitted as `'error'` events.
+   */
+  renderToStream(fileOrSections, bindings = {}, options = {}) {
+    const sections = Array.isArray(fileOrSections)
+      ? fileOrSections
+      : [{ file: fileOrSections, bindings }];
 
-    return path.join(process.cwd(), trimmed);
+    return Readable.from(this.#streamSections(sections, options), { objectMode: false });
   }
 
   /**
-   * Reads the content of a template file from the specified absolute path.
-   * If caching is enabled, it attempts to retrieve the content from the cache.
-   * If the file has been modified since it was cached, it updates the cache.
-   * * @param {string} absolutePath - The absolute path to the template file.
-   * @returns {Promise<string>} - A promise that resolves to the content of the template file.
-   * @throws {Error} - Throws an error if the file cannot be read or does not exist.
+   * Renders sections in order, yielding output while later sections are still loading.
+   *
+   * @param {Array<Object>} sections - The sections to render.
+   * @param {Object} options - The render options.
+   * @yields {string} Rendered output.
    * @private
    */
-  async #readTemplateFromFile(absolutePath) {
-    if (this.enableCache) {
-      const cached = this.templateCache.get(absolutePath);
-      try {
-        const stats = await fsPromises.stat(absolutePath);
-        if (cached && cached.mtimeMs === stats.mtimeMs) {
-          return cached.content;
+  async *#streamSections(sections, options) {
+    const locales = sections.map(section => this.#sectionLocale(section, options));
+    const loading = sections.map((section, index) => this.#loadSection(section, locales[index]));
+    // Failures are rethrown in order when each section is awaited below.
+    loading.forEach(promise => promise.catch(() => {}));
+
+    for (let index = 0; index < sections.length; index++) {
+      const chain = await loading[index];
+      for await (const chunk of this.#renderChunks(chain, sections[index].bindings || {}, locales[index])) {
+        if (chunk) {
+          yield chunk;
         }
-        const content = await fsPromises.readFile(absolutePath, 'utf8');
-        this.templateCache.set(absolutePath, { content, mtimeMs: stats.mtimeMs });
-        return content;
-      } catch (error) {
-        this.templateCache.delete(absolutePath);
-        throw error;
       }
     }
-
-    return fsPromises.readFile(absolutePath, 'utf8');
   }
 
   /**
-   * Processes conditional statements in the provided HTML string based on the given bindings.
-   * Supports `{{#if}}...{{/if}}` and `{{#unless}}...{{/unless}}` syntax.
+   * Works out the locale of a `renderMultiple` section.
    *
-   * - `{{#if key}}...{{/if}}`: Includes the content if the value of `key` in `bindings` is truthy.
-   * - `{{#unless key}}...{{/unless}}`: Includes the content if the value of `key` in `bindings` is falsy.
+   * @param {Object} section - The section.
+   * @param {Object} options - The render options.
+   * @returns {string|null} The section's own locale, or the render's.
+   * @private
+   */
+  #sectionLocale(section, options) {
+    return section && typeof section.locale === 'string' && section.locale ? section.locale : this.#renderLocale(options);
+  }
+
+  /**
+   * Loads the template of a `renderMultiple` section.
    *
-   * @param {string} html - The HTML string containing conditional statements to process.
-   * @param {Object} bindings - An object containing key-value pairs used to evaluate the conditionals.
-   * @returns {string} - The processed HTML string with conditionals resolved.
+   * @param {Object} section - The section, with a `file` or `template` property.
+   * @param {string|null} locale - The section's locale.
+   * @returns {Promise<Array<Object>>} The section's layout chain.
+   * @throws {Error} If the section has neither a `file` nor a `template` property.
    * @private
    */
-  #processConditionals(html, bindings) {
-    try {
-      html = html.replace(/{{#if\s+([\w.]+)\s*}}([\s\S]*?){{\/if}}/g, (match, key, content) => {
-        const value = this.#getNestedValue(bindings, key);
-        // Recursively render content to process nested placeholders/partials
-        return value ? this.renderTemplateString(content, bindings) : '';
-      });
+  async #loadSection(section, locale) {
+    const { file, template } = section || {};
 
-      html = html.replace(/{{#unless\s+([\w.]+)\s*}}([\s\S]*?){{\/unless}}/g, (match, key, content) => {
-        const value = this.#getNestedValue(bindings, key);
-        // Recursively render content to process nested placeholders/partials
-        return !value ? this.renderTemplateString(content, bindings) : '';
-      });
+    if (file && typeof file === 'string') {
+      return this.#loadFileTemplate(file, locale);
+    }
 
-      return html;
-    } catch (err) {
-      console.error('Error processing conditionals:', err);
-      return html;
+    if (template && typeof template === 'string') {
+      return this.#loadDependencies(this.#compile(template), locale);
     }
+
+    throw new Error('Each section must have either a "file" or "template" property.');
   }
 
   /**
-   * Resolves the value of a given key within a loop context.
+   * Checks a template without rendering it. The template can either be a file path
+   * (a single line ending with one of the `extensions`) or a template string.
+   *
+   * The result lists the binding paths the template reads, the partials it includes and the
+   * problems found, as `TemplateError`s with positions: everything strict mode would report while
+   * parsing (unclosed or unbalanced blocks, stray `{{empty}}` and `{{else}}` tags, malformed tags),
+   * plus unknown filters, partials that are neither registered nor in the partials folder, and
+   * layouts that do not exist. Problems are returned rather than thrown, whatever the `strict` setting.
+   *
+   * Binding paths are given from the root bindings: inside `{{#each users as |user|}}`, `user.name`
+   * is listed as `users[].name`. Unqualified keys inside a loop are listed as fields of the item,
+   * where they are looked up first, unless a schema shows that they belong to an enclosing scope.
    *
-   * @param {Object} item - The current item in the loop.
-   * @param {string} key - The key to resolve. Special keys include:
-   * - 'this': Returns the current item.
-   * - '@index': Returns the current index of the item in the loop.
-   * - '@order': Returns the current index incremented by 1.
-   * - Keys starting with 'this.': Resolves nested values within the current item.
-   * @param {number} index - The index of the current item in the loop.
-   * @param {Object} bindings - Additional bindings to resolve the key if not found in the item.
-   * @returns {*} - The resolved value for the given key, or `undefined` if the key cannot be resolved.
+   * With `options.schema`, a JSON-schema-like description of the bindings, paths the schema does not
+   * describe are reported as `UNKNOWN_VARIABLE`. Objects list their keys in `properties`, which are
+   * the only keys allowed unless `additionalProperties` is `true` or a schema; arrays describe their
+   * items in `items`; arrays and strings have a `length`. A schema without a `type` allows anything.
+   *
+   * Example:
+   * ```javascript
+   * const { problems } = await engine.analyze('users/list.html', {
+   *   schema: {
+   *     type: 'object',
+   *     properties: {
+   *       users: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' } } } }
+   *     }
+   *   }
+   * });
+   * ```
+   *
+   * @param {string} templateOrFile - The template to check, either as a file path or a string.
+   * @param {Object} [options={}] - Analysis options.
+   * @param {Object} [options.schema] - A description of the bindings.
+   * @returns {Promise<{template: (string|null), bindings: Array<string>, partials: Array<string>,
+   *   extends: (string|null), problems: Array<TemplateError>}>} The analysis.
+   * @throws {TemplateError} If a template file cannot be read (code `TEMPLATE_READ_FAILED`).
    */
-  #resolveLoopValue(item, key, index, bindings) {
-    if (key === 'this') {
-      return item;
+  async analyze(templateOrFile, options = {}) {
+    if (typeof templateOrFile !== 'string') {
+      throw new Error('Template must be a string.');
     }
-    if (key === '@index') {
-      return index;
+
+    let name = null;
+    let source = templateOrFile;
+    if (this.#looksLikeFile(templateOrFile)) {
+      try {
+        name = await this.#resolveTemplate(templateOrFile, 'template');
+        if (name == null) {
+          throw this.#createError('TEMPLATE_READ_FAILED', 'Template file was not found.', { origin: { name: templateOrFile } });
+        }
+        ({ content: source } = await this.#readTemplateEntry(name));
+      } catch (err) {
+        if (err instanceof TemplateError) {
+          throw err;
+        }
+        throw this.#createError('TEMPLATE_READ_FAILED', 'Template file could not be read.', {
+          origin: { name: name || templateOrFile },
+          cause: err
+        });
+      }
     }
-    if (key === '@order') {
-      return index + 1;
+
+    const origin = { source, name };
+    const problems = [];
+    let ast;
+    this.#collectedProblems = problems;
+    try {
+      ast = this.#parse(source, name);
+    } finally {
+      this.#collectedProblems = null;
     }
-    if (key.startsWith('this.')) {
-      return this.#getNestedValue(item, key.slice(5));
+
+    const result = { bindings: new Set(), partials: new Map(), problems, origin };
+    const rootSchema = options.schema === undefined ? null : options.schema;
+    this.#analyzeNodes(ast.body, [{ schema: rootSchema, prefix: '', locals: null }], result);
+
+    for (const [partial, start] of result.partials) {
+      const exists = this.partials.has(partial)
+        || this.#filePartials.has(partial)
+        || await this.#templateExists(partial, 'partial', name);
+      if (!exists) {
+        problems.push(this.#createError('MISSING_PARTIAL', `Missing partial "${partial}".`, { origin, start }));
+      }
     }
 
-    const itemValue = this.#getNestedValue(item, key);
-    if (itemValue !== undefined) {
-      return itemValue;
+    if (ast.extends && !await this.#templateExists(ast.extends, 'layout', name)) {
+      const start = ast.body.find(node => node.type === 'extends').start;
+      problems.push(this.#createError('MISSING_TEMPLATE', `Layout "${ast.extends}" does not exist.`, { origin, start }));
     }
 
-    return this.#getNestedValue(bindings, key);
+    problems.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+
+    return {
+      template: name,
+      bindings: Array.from(result.bindings),
+      partials: Array.from(result.partials.keys()),
+      extends: ast.extends,
+      problems
+    };
   }
 
   /**
-   * Processes loop constructs in the given HTML template string.
-   * Replaces `{{#each}}` blocks with rendered content based on the provided bindings.
+   * Checks whether the loader has a template.
    *
-   * Loop syntax:
-   * - `{{#each key}} ... {{/each}}`: Iterates over the array at `key` in the bindings.
-   * - Inside the loop, placeholders like `{{itemKey}}` or `{{{itemKey}}}` are replaced with values from the current item.
-   * - Default values can be provided using `|| "defaultValue"`.
-   * - An optional `{{ empty }}` block can be used to define content when the array is empty.
-   *
-   * @param {string} html - The HTML template string containing loop constructs.
-   * @param {Object} bindings - An object containing data to bind to the template.
-   * @returns {string} - The processed HTML string with loops rendered.
+   * @param {string} name - The template, layout or partial name.
+   * @param {string} type - `template`, `layout` or `partial`.
+   * @param {string|null} from - The id of the template that refers to it, if any.
+   * @returns {Promise<boolean>} Whether the template exists and may be read.
    * @private
    */
-  #processLoops(html, bindings) {
+  async #templateExists(name, type, from) {
     try {
-      return html.replace(/{{#each\s+([\w.]+)\s*}}([\s\S]*?){{\/each}}/g, (match, key, content) => {
-        const list = this.#getNestedValue(bindings, key);
-        const [loopBlock, emptyBlock = ''] = content.split(/{{\s*empty\s*}}/);
-
-        if (Array.isArray(list) && list.length > 0) {
-          return list.map((item, index) => {
-            let result = loopBlock;
-
-            result = result.replace(/{{{\s*([\w.@]+)(\s*\|\|\s*["'](.*?)["'])?\s*}}}/g, (tripleMatch, itemKey, _, defaultValue) => {
-              const resolved = this.#resolveLoopValue(item, itemKey, index, bindings);
-              if (resolved !== undefined && resolved !== null) {
-                return this.#stringifyValue(resolved);
-              }
-              if (defaultValue !== undefined) {
-                return defaultValue;
-              }
-              return '';
-            });
+      return await this.#resolveTemplate(name, type, from) != null;
+    } catch {
+      return false;
+    }
+  }
 
-            result = result.replace(/{{\s*([\w.@]+)(\s*\|\|\s*["'](.*?)["'])?\s*}}/g, (placeholderMatch, itemKey, _, defaultValue) => {
-              const resolved = this.#resolveLoopValue(item, itemKey, index, bindings);
-              if (resolved !== undefined && resolved !== null) {
-                return this.#escapeHtml(resolved);
-              }
-              if (defaultValue !== undefined) {
-                return this.#escapeHtml(defaultValue);
-              }
-              return '';
-            });
+  /**
+   * Walks template nodes for `analyze`, tracking loop scopes the way rendering does.
+   *
+   * @param {Array<Object>} nodes - The nodes to walk.
+   * @param {Array<{schema: (Object|null), prefix: (string|null), locals: (Object|null)}>} frames - The scopes,
+   * outermost first. `schema` describes the scope's data (`null` allows anything), `prefix` is the
+   * scope's path from the root bindings and `locals` holds the block params.
+   * @param {Object} result - Collects bindings, partials and problems.
+   * @private
+   */
+  #analyzeNodes(nodes, frames, result) {
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'output':
+          this.#analyzeExpression(node.expression, frames, result, node.start);
+          break;
 
-            return this.renderTemplateString(result, { ...bindings, this: item, '@index': index, '@order': index + 1 });
-          }).join('');
+        case 'partial':
+        case 'partialBlock':
+          if (!node.name.startsWith('@') && !result.partials.has(node.name)) {
+            result.partials.set(node.name, node.start);
+          }
+          if (node.context) {
+            this.#analyzeExpression(node.context, frames, result, node.start);
+          }
+          for (const value of Object.values(node.hash)) {
+            this.#analyzeExpression(value, frames, result, node.start);
+          }
+          this.#analyzeNodes(node.body || [], frames, result);
+          break;
+
+        case 'if':
+        case 'unless':
+          this.#analyzeExpression(node.expression, frames, result, node.start);
+          this.#analyzeNodes(node.body, frames, result);
+          this.#analyzeNodes(node.inverse || [], frames, result);
+          break;
+
+        case 'each': {
+          const list = this.#analyzeExpression(node.expression, frames, result, node.start);
+          const itemSchema = this.#itemSchema(list.schema);
+          const prefix = list.path === null ? null : `${list.path}[]`;
+          const [itemParam, keyParam] = node.params || [];
+          let locals = null;
+          if (itemParam) {
+            locals = { [itemParam]: { schema: itemSchema, prefix } };
+            if (keyParam) {
+              locals[keyParam] = { schema: null, prefix: null };
+            }
+          }
+          this.#analyzeNodes(node.body, [...frames, { schema: itemSchema, prefix, locals }], result);
+          this.#analyzeNodes(node.inverse || [], frames, result);
+          break;
         }
 
-        return emptyBlock ? this.renderTemplateString(emptyBlock, bindings) : '';
-      });
-    } catch (err) {
-      console.error('Error processing loops:', err);
-      return html;
+        case 'with': {
+          const value = this.#analyzeExpression(node.expression, frames, result, node.start);
+          const scope = { schema: value.schema || null, prefix: value.path };
+          const [param] = node.params || [];
+          this.#analyzeNodes(node.body, [...frames, { ...scope, locals: param ? { [param]: scope } : null }], result);
+          this.#analyzeNodes(node.inverse || [], frames, result);
+          break;
+        }
+
+        case 'let': {
+          const frame = frames[frames.length - 1];
+          const locals = { ...frame.locals };
+          for (const [name, value] of Object.entries(node.values)) {
+            const analyzed = this.#analyzeExpression(value, frames, result, node.start);
+            locals[name] = { schema: analyzed.schema || null, prefix: analyzed.path };
+          }
+          this.#analyzeNodes(node.body, [...frames.slice(0, -1), { ...frame, locals }], result);
+          break;
+        }
+
+        case 'extends':
+        case 'block':
+        case 'fragment':
+        case 'slot':
+          this.#analyzeNodes(node.body, frames, result);
+          break;
+
+        case 'cache':
+          for (const key of node.keys) {
+            this.#analyzeExpression(key, frames, result, node.start);
+          }
+          if (node.ttl) {
+            this.#analyzeExpression(node.ttl, frames, result, node.start);
+          }
+          this.#analyzeNodes(node.body, frames, result);
+          break;
+
+        default:
+          break;
+      }
     }
   }
 
   /**
-   * Processes partial templates within the provided HTML string.
-   * Replaces occurrences of partial placeholders (e.g., {{> partialName }}) 
-   * with the corresponding partial template content, rendered with the given bindings.
+   * Walks an expression for `analyze`, recording the binding paths it reads and reporting
+   * unknown filters and paths missing from the schema.
    *
-   * @param {string} html - The HTML string containing partial placeholders.
-   * @param {Object} bindings - An object containing data to bind to the partial templates.
-   * @returns {string} - The HTML string with partial placeholders replaced by rendered content.
-   * If a partial template is missing, a warning is logged, and the placeholder is replaced with an empty string.
+   * @param {Object} node - The expression node.
+   * @param {Array<Object>} frames - The scopes, see `#analyzeNodes`.
+   * @param {Object} result - Collects bindings and problems.
+   * @param {number} start - The offset of the tag the expression belongs to.
+   * @returns {{path: (string|null), schema: (Object|null)}} For a path, its path from the root bindings
+   * and its schema; `null` for anything that cannot be traced.
+   * @private
    */
-  #processPartials(html, bindings) {
-    return html.replace(/{{>\s*([\w./-]+)\s*}}/g, (match, name) => {
-      const partialName = name.trim();
-      if (!this.partials.has(partialName)) {
-        console.warn(`Missing partial "${partialName}".`);
-        return '';
+  #analyzeExpression(node, frames, result, start) {
+    const untraced = { path: null, schema: null };
+
+    switch (node.type) {
+      case 'path': {
+        const resolved = this.#resolveAnalyzedPath(node, frames);
+        if (resolved.path) {
+          result.bindings.add(resolved.path);
+        }
+        if (resolved.schema === undefined) {
+          result.problems.push(this.#createError('UNKNOWN_VARIABLE', `"${node.original}" is not in the binding schema.`, {
+            origin: result.origin,
+            start
+          }));
+          return untraced;
+        }
+        return resolved;
       }
 
-      const template = this.partials.get(partialName);
-      return this.renderTemplateString(template, bindings);
-    });
+      case 'not':
+        this.#analyzeExpression(node.argument, frames, result, start);
+        return untraced;
+
+      case 'binary':
+        this.#analyzeExpression(node.left, frames, result, start);
+        this.#analyzeExpression(node.right, frames, result, start);
+        return untraced;
+
+      case 'filter':
+        if (!this.filters.has(node.name)) {
+          result.problems.push(this.#createError('UNKNOWN_FILTER', `Unknown filter "${node.name}".`, {
+            origin: result.origin,
+            start
+          }));
+        }
+        this.#analyzeExpression(node.input, frames, result, start);
+        node.args.forEach(arg => this.#analyzeExpression(arg, frames, result, start));
+        return untraced;
+
+      case 'translate':
+        this.#analyzeExpression(node.key, frames, result, start);
+        Object.values(node.values).forEach(value => this.#analyzeExpression(value, frames, result, start));
+        return untraced;
+
+      default:
+        return untraced;
+    }
   }
 
   /**
-   * Replaces placeholders in the provided HTML string with corresponding values from the bindings object.
-   *  Placeholders are defined in the following formats:
-   * - `{{{ key }}}`: Inserts the raw value of the key from the bindings object.
-   * - `{{ key }}`: Inserts the escaped value of the key from the bindings object.
-   * - Both formats support a default value using the syntax `key || "defaultValue"`.
-   * @param {string} html - The HTML string containing placeholders to be replaced.
-   * @param {Object} bindings - An object containing key-value pairs used to replace placeholders.
-   * @returns {string} - The HTML string with placeholders replaced by corresponding values or default values.
+   * Resolves a path node against the analyzed scopes, mirroring `#compileLookup`.
+   *
+   * @param {Object} node - The path node.
+   * @param {Array<Object>} frames - The scopes, see `#analyzeNodes`.
+   * @returns {{path: (string|null), schema: (Object|null|undefined)}} The path from the root bindings
+   * (`null` if it cannot be traced) and its schema: `null` if anything goes, `undefined` if the
+   * schema does not describe the path.
    * @private
    */
-  #replacePlaceholders(html, bindings) {
-    let result = html;
+  #resolveAnalyzedPath(node, frames) {
+    const { up, scoped, data, parts } = node;
+    const join = (prefix, rest) => (prefix === null ? null : [prefix, ...rest].filter(Boolean).join('.'));
 
-    result = result.replace(/{{{\s*([\w.]+)(\s*\|\|\s*["'](.*?)["'])?\s*}}}/g, (match, key, _, defaultValue) => {
-      const value = this.#getNestedValue(bindings, key);
-      if (value !== undefined && value !== null) {
-        return this.#stringifyValue(value);
-      }
-      if (defaultValue !== undefined) {
-        return defaultValue;
-      }
-      return '';
-    });
+    if (data === 'root') {
+      return { path: join('', parts), schema: this.#schemaAt(frames[0].schema, parts) };
+    }
+    if (data) {
+      return { path: null, schema: null };
+    }
+
+    const target = Math.max(frames.length - 1 - up, 0);
+    if (scoped) {
+      const frame = frames[target];
+      return { path: join(frame.prefix, parts), schema: this.#schemaAt(frame.schema, parts) };
+    }
 
-    result = result.replace(/{{\s*([\w.]+)(\s*\|\|\s*["'](.*?)["'])?\s*}}/g, (match, key, _, defaultValue) => {
-      const value = this.#getNestedValue(bindings, key);
-      if (value !== undefined && value !== null) {
-        return this.#escapeHtml(value);
+    for (let index = target; index >= 0; index--) {
+      const frame = frames[index];
+      if (frame.locals && Object.prototype.hasOwnProperty.call(frame.locals, parts[0])) {
+        const local = frame.locals[parts[0]];
+        return { path: join(local.prefix, parts.slice(1)), schema: this.#schemaAt(local.schema, parts.slice(1)) };
       }
-      if (defaultValue !== undefined) {
-        return this.#escapeHtml(defaultValue);
+      const schema = this.#schemaAt(frame.schema, parts);
+      if (schema !== undefined) {
+        return { path: join(frame.prefix, parts), schema };
       }
-      return '';
-    });
+    }
 
-    return result;
+    return { path: join(frames[target].prefix, parts), schema: undefined };
   }
 
   /**
-   * Renders a template string by processing partials, conditionals, loops, and placeholders.
+   * Follows a path through a binding schema.
    *
-   * @param {string} html - The template string to be rendered.
-   * @param {Object} [bindings={}] - An object containing key-value pairs for template bindings.
-   * @param {string|number|boolean|Object|Array} [bindings.key] - The values to replace placeholders, conditionals, and loops in the template.
-   * @returns {string} The rendered template string with all bindings applied.
-   * If the provided `html` is not a string, an error is logged and an empty string is returned.
+   * @param {Object|null} schema - The schema; `null` allows anything.
+   * @param {Array<string>} parts - The path segments.
+   * @returns {Object|null|undefined} The schema at the path, `null` if anything goes there,
+   * or `undefined` if the schema does not allow the path.
+   * @private
    */
-  renderTemplateString(html, bindings = {}) {
-    if (typeof html !== 'string') {
-      console.error('Template must be a string.');
-      return '';
-    }
-
-    let rendered = html;
+  #schemaAt(schema, parts) {
+    let current = schema;
 
-    rendered = this.#processPartials(rendered, bindings);
-    rendered = this.#processConditionals(rendered, bindings);
-    // A single pass is sufficient as processLoops recursively calls renderTemplateString
-    rendered = this.#processLoops(rendered, bindings);
-    rendered = this.#replacePlaceholders(rendered, bindings);
-
-    return rendered;
-  }
+    for (const part of parts) {
+      if (current === null) {
+        return null;
+      }
 
-  async renderTemplateFile(filePath, bindings = {}) {
-    const absolutePath = this.#resolveFilePath(filePath);
+      const types = [].concat(current.type || []);
+      const isArray = types.includes('array') || current.items !== undefined;
+      const isObject = types.includes('object') || current.properties !== undefined;
 
-    try {
-      const html = await this.#readTemplateFromFile(absolutePath);
-      return this.renderTemplateString(html, bindings);
-    } catch (err) {
-      console.error('Failed to read template:', absolutePath, err);
-      throw new Error('Template file could not be read.');
+      if (types.length === 0 && !isArray && !isObject) {
+        return null;
+      }
+      if (part === 'length' && (isArray || types.includes('string'))) {
+        current = { type: 'number' };
+      } else if (isArray && /^\d+$/.test(part)) {
+        current = current.items || null;
+      } else if (isObject && current.properties && Object.prototype.hasOwnProperty.call(current.properties, part)) {
+        current = current.properties[part] || null;
+      } else if (isObject && (current.additionalProperties === true || this.#isSchema(current.additionalProperties))) {
+        current = current.additionalProperties === true ? null : current.additionalProperties;
+      } else if (isObject && !current.properties && current.additionalProperties === undefined) {
+        current = null;
+      } else {
+        return undefined;
+      }
     }
+
+    return current;
   }
 
   /**
-   * Renders a template using the provided bindings. The template can either be a file path
-   * (ending with `.html`) or a template string. If a file path is provided, it renders the
-   * template file; otherwise, it renders the template string.
+   * Checks whether a value is a schema object rather than a flag such as `additionalProperties: true`.
    *
-   * @param {string} templateOrFile - The template to render, either as a file path or a string.
-   * @param {Object} [bindings={}] - An object containing key-value pairs to bind to the template.
-   * @returns {Promise<string>} A promise that resolves to the rendered template as a string.
+   * @param {*} value - The value to check.
+   * @returns {boolean} Whether the value is a schema.
+   * @private
    */
-  render(templateOrFile, bindings = {}) {
-    const looksLikeFile = typeof templateOrFile === 'string' && templateOrFile.trim().endsWith('.html');
-
-    if (looksLikeFile) {
-      return this.renderTemplateFile(templateOrFile, bindings);
-    }
-
-    return Promise.resolve(this.renderTemplateString(templateOrFile, bindings));
+  #isSchema(value) {
+    return value !== null && typeof value === 'object';
   }
 
   /**
-   * Renders multiple sections by processing either template files or template strings.
+   * Works out the schema of the items `{{#each}}` iterates over.
    *
-   * @async
-   * @function
-   * @param {Array<Object>} sections - An array of section objects to render.
-   * @param {string} [sections[].file] - The file path to the template file to render.
-   * @param {string} [sections[].template] - The template string to render.
-   * @param {Object} [sections[].bindings={}] - The data bindings to use for rendering the template.
-   * @returns {Promise<string>} A promise that resolves to the concatenated rendered output of all sections.
-   * @throws {Error} If `sections` is not an array or if a section does not have a valid `file` or `template` property.
+   * @param {Object|null} schema - The schema of the iterated value.
+   * @returns {Object|null} The item schema; `null` if anything goes.
+   * @private
    */
-  async renderMultiple(sections = []) {
-    if (!Array.isArray(sections)) {
-      throw new Error('renderMultiple expects an array of section objects.');
+  #itemSchema(schema) {
+    if (!schema) {
+      return null;
     }
+    if (schema.items) {
+      return schema.items;
+    }
+    if (this.#isSchema(schema.additionalProperties)) {
+      return schema.additionalProperties;
+    }
+    return null;
+  }
 
-    const results = await Promise.all(
-      sections.map(section => {
-        const { file, template, bindings = {} } = section;
-
-        if (file && typeof file === 'string') {
-          return this.renderTemplateFile(file, bindings);
-        }
-
-        if (template && typeof template === 'string') {
-          return Promise.resolve(this.renderTemplateString(template, bindings));
-        }
+  /**
+   * Creates a view engine function for Express.
+   *
+   * Express resolves the view against its `views` setting and passes the absolute path, so
+   * `res.render('users/profile')` renders `<views>/users/profile.html`. If neither a base folder nor
+   * a loader was configured, layouts and partials of the render resolve from the first `views` folder
+   * of that app, without changing the engine's settings. `app.locals`, `res.locals` and the render options
+   * are merged into the bindings, later sources taking precedence. A string `locale` binding, e.g. set
+   * on `res.locals` by a middleware, becomes the render's locale. Errors are passed to Express's
+   * callback so they reach its error handling middleware. The callback is called on a later tick,
+   * outside the render's promise, so an error it throws is not taken for a render error.
+   *
+   * Example:
+   * ```javascript
+   * app.engine('html', engine.express());
+   * app.set('view engine', 'html');
+   * app.set('views', path.join(__dirname, 'templates'));
+   * ```
+   *
+   * @returns {function(string, Object, function((Error|null), string=)): void} The view engine function.
+   */
+  express() {
+    return (filePath, options = {}, callback) => {
+      const { settings = {}, _locals: resLocals = {}, cache, ...locals } = options;
+      const bindings = { ...resLocals, ...locals };
+      const render = () => this.renderFile(filePath, bindings, { locale: bindings.locale });
 
-        throw new Error('Each section must have either a "file" or "template" property.');
-      })
-    );
+      const views = Array.isArray(settings.views) ? settings.views[0] : settings.views;
+      const rendering = !this.baseTemplateFolder && !this.loader && typeof views === 'string'
+        ? this.#viewsLoader.run(this.#getViewsLoader(views), render)
+        : render();
 
-    return results.join('');
+      rendering.then(
+        html => process.nextTick(callback, null, html),
+        err => process.nextTick(callback, err)
+      );
+    };
   }
 }
 
+/**
+ * Marks a string as trusted HTML. `{{ }}` output inserts it unchanged in any context.
+ *
+ * @param {*} html - The trusted HTML.
+ * @returns {SafeString} The marked string.
+ */
+TemplateSMD.safe = html => new SafeString(html);
+
+TemplateSMD.SafeString = SafeString;
+TemplateSMD.TemplateError = TemplateError;
+TemplateSMD.FileSystemLoader = FileSystemLoader;
+TemplateSMD.MemoryLoader = MemoryLoader;
+TemplateSMD.MultiLoader = MultiLoader;
+TemplateSMD.MemoryFragmentStore = MemoryFragmentStore;
+
 module.exports = TemplateSMD;
\ No newline at end of file
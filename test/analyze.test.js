@@ -0,0 +1,64 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+const { MemoryLoader } = TemplateSMD;
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    user: { type: 'object', properties: { name: { type: 'string' } } },
+    items: { type: 'array', items: { type: 'object', properties: { title: { type: 'string' } } } },
+    site: { type: 'string' }
+  }
+};
+
+function createEngine() {
+  return new TemplateSMD({
+    loader: new MemoryLoader({
+      'list.html': '{{> card }}{{#each items as |item|}}{{ title }} {{ item.price }} {{ ../site }}{{/each}}{{ items.length }}',
+      'typo.html': '{{#if usr.name}}{{ user.name }}{{/if}}',
+      'broken.html': '{{ empty }}\n{{> missing }}\n{{#each items}}',
+      'partials/card.html': '<div></div>'
+    })
+  });
+}
+
+test('analyze lists the binding paths and partials a template reads', async () => {
+  const result = await createEngine().analyze('list.html');
+
+  assert.strictEqual(result.template, 'list.html');
+  assert.deepStrictEqual(result.bindings, ['items', 'items[].title', 'items[].price', 'site', 'items.length']);
+  assert.deepStrictEqual(result.partials, ['card']);
+  assert.deepStrictEqual(result.problems, []);
+});
+
+test('analyze reports structural problems with their positions', async () => {
+  const { problems } = await createEngine().analyze('broken.html');
+
+  assert.deepStrictEqual(problems.map(problem => [problem.code, problem.line, problem.column]), [
+    ['UNEXPECTED_EMPTY', 1, 1],
+    ['MISSING_PARTIAL', 2, 1],
+    ['UNCLOSED_BLOCK', 3, 1]
+  ]);
+});
+
+test('a binding schema flags unknown variables', async () => {
+  const engine = createEngine();
+
+  const typo = await engine.analyze('typo.html', { schema: SCHEMA });
+  assert.deepStrictEqual(typo.problems.map(problem => [problem.code, problem.message]), [
+    ['UNKNOWN_VARIABLE', '"usr.name" is not in the binding schema. (typo.html:1:1)']
+  ]);
+
+  const list = await engine.analyze('list.html', { schema: SCHEMA });
+  assert.deepStrictEqual(list.problems.map(problem => problem.message), ['"item.price" is not in the binding schema. (list.html:1:49)']);
+});
+
+test('analyze takes a template source as well as a file', async () => {
+  const result = await createEngine().analyze('{{#each rows}}{{ this.id }}{{/each}}');
+
+  assert.strictEqual(result.template, null);
+  assert.deepStrictEqual(result.bindings, ['rows', 'rows[].id']);
+});
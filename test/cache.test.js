@@ -0,0 +1,92 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+const { MemoryLoader } = TemplateSMD;
+
+function createEngine(options = {}) {
+  return new TemplateSMD({
+    loader: new MemoryLoader({ 'page.html': '<nav>{{#cache "nav" user.role ttl=0.05}}{{ count }}{{/cache}}</nav>' }),
+    ...options
+  });
+}
+
+/**
+ * Bindings whose `count` counts how often it was read, to tell a cache hit from a render.
+ */
+function counter() {
+  let reads = 0;
+  return role => ({
+    user: { role },
+    get count() {
+      return ++reads;
+    }
+  });
+}
+
+test('a cache hit reuses the HTML stored under the block\'s key without evaluating the body', async () => {
+  const engine = createEngine();
+  const bindings = counter();
+
+  assert.strictEqual(await engine.renderFile('page.html', bindings('admin')), '<nav>1</nav>');
+  assert.strictEqual(await engine.renderFile('page.html', bindings('admin')), '<nav>1</nav>');
+  assert.strictEqual(await engine.renderFile('page.html', bindings('guest')), '<nav>2</nav>');
+});
+
+test('cached HTML expires after its ttl and invalidateFragment drops every key it starts', async () => {
+  const engine = createEngine();
+  const bindings = counter();
+
+  await engine.renderFile('page.html', bindings('admin'));
+  await engine.renderFile('page.html', bindings('guest'));
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.strictEqual(await engine.renderFile('page.html', bindings('admin')), '<nav>3</nav>');
+
+  await engine.invalidateFragment('nav');
+  assert.strictEqual(await engine.renderFile('page.html', bindings('admin')), '<nav>4</nav>');
+});
+
+test('a fragment store of your own receives the key, the HTML and the ttl', async () => {
+  const calls = [];
+  const stored = new Map();
+  const engine = new TemplateSMD({
+    loader: new MemoryLoader({ 'page.html': '{{#cache "user" id ttl=60}}<p>{{ id }}</p>{{/cache}}' }),
+    fragmentStore: {
+      get: async key => {
+        calls.push(['get', key]);
+        return stored.get(key);
+      },
+      set: async (key, html, ttl) => {
+        calls.push(['set', key, html, ttl]);
+        stored.set(key, html);
+      },
+      delete: async key => {
+        calls.push(['delete', key]);
+        stored.delete(key);
+      }
+    }
+  });
+
+  assert.strictEqual(await engine.renderFile('page.html', { id: 7 }), '<p>7</p>');
+  assert.strictEqual(await engine.renderFile('page.html', { id: 7 }), '<p>7</p>');
+  await engine.invalidateFragment('user:7');
+
+  assert.deepStrictEqual(calls, [['get', 'user:7'], ['set', 'user:7', '<p>7</p>', 60], ['get', 'user:7'], ['delete', 'user:7']]);
+});
+
+test('a failing store renders the block and reports FRAGMENT_STORE_FAILED', async () => {
+  const warnings = [];
+  const engine = createEngine({
+    onWarning: warning => warnings.push(warning.code),
+    fragmentStore: {
+      get: async () => {
+        throw new Error('store is down');
+      },
+      set: async () => {}
+    }
+  });
+
+  assert.strictEqual(await engine.renderFile('page.html', counter()('admin')), '<nav>1</nav>');
+  assert.deepStrictEqual(warnings, ['FRAGMENT_STORE_FAILED']);
+});
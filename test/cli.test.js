@@ -0,0 +1,64 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BIN = path.join(__dirname, '..', 'bin', 'templatesmd.js');
+const RUNTIME = path.join(__dirname, '..', 'templateSMD.js');
+
+let folder;
+
+function run(...args) {
+  return spawnSync(process.execPath, [BIN, ...args], { cwd: folder, encoding: 'utf8', timeout: 30000 });
+}
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(path.join(folder, file)), { recursive: true });
+  fs.writeFileSync(path.join(folder, file), content);
+}
+
+before(() => {
+  folder = fs.mkdtempSync(path.join(os.tmpdir(), 'templatesmd-cli-'));
+  write('views/partials/nav.html', '<nav>{{ site }}</nav>');
+  write('views/blog/post.html', '{{> nav }}<h1>{{ title }}</h1>');
+  write('data/blog/post.json', JSON.stringify({ site: 'Demo', title: 'Hello' }));
+});
+
+after(() => {
+  fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('compile writes a module of render functions that loads without the template files', () => {
+  const result = run('compile', '--base', 'views', '--partials', 'partials', '--out', 'dist/templates.js', '--runtime', RUNTIME);
+  assert.strictEqual(result.status, 0, result.stderr);
+
+  const { templates } = require(path.join(folder, 'dist', 'templates.js'));
+  assert.strictEqual(templates['blog/post.html']({ site: 'Demo', title: 'Hi' }), '<nav>Demo</nav><h1>Hi</h1>');
+});
+
+test('build renders each data file against the template of the same path', () => {
+  const result = run('build', '--base', 'views', '--partials', 'partials', '--data', 'data', '--out', 'site');
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /Built 1 of 1 pages/);
+  assert.strictEqual(fs.readFileSync(path.join(folder, 'site', 'blog', 'post.html'), 'utf8'), '<nav>Demo</nav><h1>Hello</h1>');
+});
+
+test('lint exits with code 1 and prints the problems it finds', () => {
+  write('views/broken.html', '{{#if ready}}<p>{{> missing }}</p>');
+  try {
+    const result = run('lint', '--base', 'views', '--partials', 'partials');
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /UNCLOSED_BLOCK/);
+    assert.match(result.stdout, /MISSING_PARTIAL/);
+  } finally {
+    fs.rmSync(path.join(folder, 'views', 'broken.html'));
+  }
+
+  assert.strictEqual(run('lint', '--base', 'views', '--partials', 'partials').status, 0);
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+
+function createEngine() {
+  const engine = new TemplateSMD();
+  engine.registerPartial('card', '<div class="card-{{ size }}">{{ title }}{{#if site}} @ {{ site }}{{/if}}</div>');
+  engine.registerPartial('modal', '<dialog><h2>{{ title }}</h2>{{> @body }}<footer>{{#> @footer}}<button>Close</button>{{/@footer}}</footer></dialog>');
+  return engine;
+}
+
+test('partial arguments become the partial\'s data and fall back to the caller\'s scope', () => {
+  const engine = createEngine();
+  const template = '{{#each products as |item|}}{{> card title=item.name size="lg" }}{{/each}}';
+
+  assert.strictEqual(
+    engine.renderTemplateString(template, { site: 'Shop', products: [{ name: 'Lamp' }, { name: 'Desk' }] }),
+    '<div class="card-lg">Lamp @ Shop</div><div class="card-lg">Desk @ Shop</div>'
+  );
+});
+
+test('arguments are merged over a context given to the partial', () => {
+  const engine = createEngine();
+
+  assert.strictEqual(
+    engine.renderTemplateString('{{> card featured size="sm" }}', { featured: { title: 'Sofa', size: 'xl' } }),
+    '<div class="card-sm">Sofa</div>'
+  );
+});
+
+test('block partials output the caller\'s body and named slots, in the caller\'s scope', () => {
+  const engine = createEngine();
+  const template = '{{#> modal title="Delete?"}}<p>{{ item.name }}</p>{{#slot "footer"}}<button>Delete {{ item.name }}</button>{{/slot}}{{/modal}}';
+
+  assert.strictEqual(
+    engine.renderTemplateString(template, { item: { name: 'Lamp' } }),
+    '<dialog><h2>Delete?</h2><p>Lamp</p><footer><button>Delete Lamp</button></footer></dialog>'
+  );
+});
+
+test('a slot the caller leaves empty renders its fallback', () => {
+  const engine = createEngine();
+
+  assert.strictEqual(
+    engine.renderTemplateString('{{#> modal title="Note"}}Saved.{{/modal}}', {}),
+    '<dialog><h2>Note</h2>Saved.<footer><button>Close</button></footer></dialog>'
+  );
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+
+test('{{else if}} chains take the first branch whose test passes', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#if role == "admin"}}Admin{{else if role == "editor"}}Editor{{else}}Viewer{{/if}}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { role: 'admin' }), 'Admin');
+  assert.strictEqual(engine.renderTemplateString(template, { role: 'editor' }), 'Editor');
+  assert.strictEqual(engine.renderTemplateString(template, { role: 'guest' }), 'Viewer');
+  assert.strictEqual(engine.renderTemplateString(template, {}), 'Viewer');
+});
+
+test('{{#unless}} renders when the test fails and takes an {{else}}', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#unless items.length}}Empty{{else}}{{ items.length }} items{{/unless}}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { items: [] }), 'Empty');
+  assert.strictEqual(engine.renderTemplateString(template, { items: ['a', 'b'] }), '2 items');
+});
+
+test('conditions compare bindings without precomputed booleans', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#if user.isAdmin || posts.length > 10}}Moderate{{/if}}{{#if !user.name}}Anonymous{{/if}}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { user: { isAdmin: false }, posts: new Array(11) }), 'ModerateAnonymous');
+  assert.strictEqual(engine.renderTemplateString(template, { user: { name: 'Ada' }, posts: [] }), '');
+});
+
+test('missing keys in a condition are falsy instead of errors', () => {
+  const engine = new TemplateSMD({ strict: true });
+
+  assert.strictEqual(engine.renderTemplateString('{{#if user.address.city}}City{{else}}None{{/if}}', {}), 'None');
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+const { MemoryLoader } = TemplateSMD;
+
+function createEngine() {
+  return new TemplateSMD({
+    debug: true,
+    loader: new MemoryLoader({
+      'layouts/base.html': '<title>{{#block "title"}}Site{{/block}}</title><main>{{#block "content"}}{{/block}}</main>',
+      'layouts/page.html': '{{#extends "layouts/base.html"}}{{#block "content"}}<article>{{#block "body"}}{{/block}}</article>{{/block}}',
+      'home.html': '{{#extends "layouts/page.html"}}{{#block "title"}}Home{{/block}}{{#block "body"}}<p>Hi</p>{{/block}}'
+    })
+  });
+}
+
+test('debug mode marks every layout a template extends and the template each block comes from', async () => {
+  // No comments inside <title>, where they would show as text
+  const html = await createEngine().renderFile('home.html', {});
+
+  assert.strictEqual(html, [
+    '<!-- template home.html --><!-- layout layouts/page.html --><!-- layout layouts/base.html -->',
+    '<title>Home</title>',
+    '<main><!-- block "content" (layouts/page.html) --><article>',
+    '<!-- block "body" (home.html) --><p>Hi</p><!-- /block "body" -->',
+    '</article><!-- /block "content" --></main>',
+    '<!-- /layout layouts/base.html --><!-- /layout layouts/page.html --><!-- /template home.html -->'
+  ].join(''));
+});
+
+test('streamed renders get the same layout comments', async () => {
+  let html = '';
+  for await (const chunk of createEngine().renderToStream('home.html', {})) {
+    html += chunk;
+  }
+
+  assert.strictEqual(html, await createEngine().renderFile('home.html', {}));
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+
+test('{{#each}} iterates over objects, Maps, Sets and other iterables', () => {
+  const engine = new TemplateSMD();
+  function* numbers() {
+    yield 1;
+    yield 2;
+  }
+
+  assert.strictEqual(engine.renderTemplateString('{{#each obj}}{{ @key }}={{ this }};{{/each}}', { obj: { a: 1, b: 2 } }), 'a=1;b=2;');
+  assert.strictEqual(engine.renderTemplateString('{{#each map}}{{ @key }}={{ this }};{{/each}}', { map: new Map([['x', 1], ['y', 2]]) }), 'x=1;y=2;');
+  assert.strictEqual(engine.renderTemplateString('{{#each set}}{{ @key }}={{ this }};{{/each}}', { set: new Set(['p', 'q']) }), '0=p;1=q;');
+  assert.strictEqual(engine.renderTemplateString('{{#each numbers}}{{ this }}{{/each}}', { numbers: numbers() }), '12');
+});
+
+test('loop variables describe the position of each item', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#each items}}{{ @index }}/{{ @order }}/{{ @length }}{{#if @first}} first{{/if}}{{#if @last}} last{{/if}};{{/each}}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { items: ['a', 'b', 'c'] }), '0/1/3 first;1/2/3;2/3/3 last;');
+});
+
+test('block params name the item and key in nested loops', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#each orders as |order i|}}{{ i }}:{{#each order.lines as |line|}}{{ order.id }}-{{ line.sku }} {{/each}}|{{/each}}';
+  const orders = [{ id: 7, lines: [{ sku: 'a' }, { sku: 'b' }] }, { id: 8, lines: [{ sku: 'c' }] }];
+
+  assert.strictEqual(engine.renderTemplateString(template, { orders }), '0:7-a 7-b |1:8-c |');
+});
+
+test('../ reaches the enclosing scope when the item has a field of the same name', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#each items}}{{ name }} in {{ ../name }}{{/each}}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { name: 'root', items: [{ name: 'item' }] }), 'item in root');
+});
+
+test('the {{else}} block renders for empty lists and missing values', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#each items}}{{ this }}{{else}}none{{/each}}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { items: [] }), 'none');
+  assert.strictEqual(engine.renderTemplateString(template, { items: {} }), 'none');
+  assert.strictEqual(engine.renderTemplateString(template, {}), 'none');
+});
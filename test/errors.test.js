@@ -0,0 +1,62 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+const { MemoryLoader, TemplateError } = TemplateSMD;
+
+function createEngine(options = {}) {
+  return new TemplateSMD({
+    loader: new MemoryLoader({
+      'profile.html': '<p>\n  {{ user.name }}</p>',
+      'list.html': '{{#each count}}x{{/each}}',
+      'page.html': '{{> sidebar }}',
+      'open.html': '{{#if ready}}'
+    }),
+    ...options
+  });
+}
+
+test('strict mode throws a TemplateError with the template, position and a code frame', async () => {
+  const error = await createEngine({ strict: true }).renderFile('profile.html', {}).catch(caught => caught);
+
+  assert.ok(error instanceof TemplateError);
+  assert.strictEqual(error.code, 'UNDEFINED_VARIABLE');
+  assert.strictEqual(error.template, 'profile.html');
+  assert.deepStrictEqual([error.line, error.column], [2, 3]);
+  assert.strictEqual(error.frame, '  1 | <p>\n> 2 |   {{ user.name }}</p>\n    |   ^');
+  assert.match(error.message, /\(profile\.html:2:3\)$/);
+});
+
+test('strict mode throws on missing partials, unclosed blocks and values {{#each}} cannot iterate', async () => {
+  const engine = createEngine({ strict: true });
+
+  await assert.rejects(engine.renderFile('page.html', {}), { code: 'MISSING_PARTIAL' });
+  await assert.rejects(engine.renderFile('open.html', {}), { code: 'UNCLOSED_BLOCK' });
+  await assert.rejects(engine.renderFile('list.html', { count: 5 }), { code: 'NOT_ITERABLE' });
+});
+
+test('without strict mode problems go to onWarning and the render continues', async () => {
+  const warnings = [];
+  const engine = createEngine({ onWarning: warning => warnings.push(warning) });
+
+  assert.strictEqual(await engine.renderFile('profile.html', {}), '<p>\n  </p>');
+  assert.strictEqual(await engine.renderFile('list.html', { count: 5 }), '');
+  assert.deepStrictEqual(warnings.map(warning => warning.code), ['UNDEFINED_VARIABLE', 'NOT_ITERABLE']);
+  assert.ok(warnings.every(warning => warning instanceof TemplateError));
+});
+
+test('a template that cannot be read keeps the original error as the cause', async () => {
+  const failure = new Error('connection lost');
+  const loader = new MemoryLoader({ 'home.html': 'Home' });
+  loader.load = () => {
+    throw failure;
+  };
+  const engine = new TemplateSMD({ loader });
+
+  const error = await engine.renderFile('home.html', {}).catch(caught => caught);
+
+  assert.strictEqual(error.code, 'TEMPLATE_READ_FAILED');
+  assert.strictEqual(error.cause, failure);
+  await assert.rejects(engine.renderFile('absent.html', {}), { code: 'TEMPLATE_READ_FAILED', message: /not found/ });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+
+test('quotes inside script comments do not open a string', () => {
+  const engine = new TemplateSMD();
+
+  assert.strictEqual(
+    engine.renderTemplateString("<script>// don't\nvar x = {{ s }};</script>", { s: 'alert(1)' }),
+    "<script>// don't\nvar x = \"alert(1)\";</script>"
+  );
+  assert.strictEqual(
+    engine.renderTemplateString("<script>/* it's */ var x = {{ s }};</script>", { s: 'alert(1)' }),
+    "<script>/* it's */ var x = \"alert(1)\";</script>"
+  );
+  assert.strictEqual(
+    engine.renderTemplateString('<button onclick="f(); // it\'s\nvar v = {{ s }}">', { s: 'alert(1)' }),
+    '<button onclick="f(); // it\'s\nvar v = &quot;alert(1)&quot;">'
+  );
+});
+
+test('quotes inside regular expressions do not open a string, divisions are not regular expressions', () => {
+  const engine = new TemplateSMD();
+
+  assert.strictEqual(
+    engine.renderTemplateString('<script>var r = /[\'"]/g; var x = {{ s }};</script>', { s: 'alert(1)' }),
+    '<script>var r = /[\'"]/g; var x = "alert(1)";</script>'
+  );
+  assert.strictEqual(
+    engine.renderTemplateString("<script>if (ok) return /it's/.test(v); var x = {{ s }};</script>", { s: 'alert(1)' }),
+    "<script>if (ok) return /it's/.test(v); var x = \"alert(1)\";</script>"
+  );
+  assert.strictEqual(
+    engine.renderTemplateString("<script>var half = {{ n }} / 2; var name = '{{ s }}';</script>", { n: 4, s: "O'Hara" }),
+    "<script>var half = 4 / 2; var name = 'O\\u0027Hara';</script>"
+  );
+});
+
+test('output inside a script comment cannot end the comment', () => {
+  const engine = new TemplateSMD();
+
+  assert.strictEqual(
+    engine.renderTemplateString('<script>// {{ s }}\n</script>', { s: 'a\nalert(1)' }),
+    '<script>// a\\u000aalert(1)\n</script>'
+  );
+  assert.strictEqual(
+    engine.renderTemplateString('<script>/* {{ s }} */</script>', { s: '*/alert(1)/*' }),
+    '<script>/* *\\u002falert(1)\\u002f* */</script>'
+  );
+});
+
+test('output in the path of a URL keeps its slashes', () => {
+  const engine = new TemplateSMD();
+
+  assert.strictEqual(
+    engine.renderTemplateString('<img src="{{ cdn }}/{{ file }}">', { cdn: 'https://cdn.example.com', file: 'img/x y.png' }),
+    '<img src="https://cdn.example.com/img/x%20y.png">'
+  );
+  assert.strictEqual(
+    engine.renderTemplateString('<a href="https://{{ host }}/x">', { host: 'example.com:8080' }),
+    '<a href="https://example.com:8080/x">'
+  );
+});
+
+test('output in the query or fragment of a URL is encoded as a component', () => {
+  const engine = new TemplateSMD();
+
+  assert.strictEqual(
+    engine.renderTemplateString('<a href="/search?q={{ q }}#{{ tab }}">', { q: 'a b&c/d', tab: 'x/y' }),
+    '<a href="/search?q=a%20b%26c%2Fd#x%2Fy">'
+  );
+});
+
+test('output after the start of a URL cannot complete a dangerous scheme', () => {
+  const engine = new TemplateSMD();
+
+  assert.strictEqual(
+    engine.renderTemplateString('<a href="{{ a }}{{ b }}">', { a: 'java', b: 'script:alert(1)' }),
+    '<a href="javascript%3Aalert(1)">'
+  );
+});
+
+test('srcset checks each URL on its own', () => {
+  const engine = new TemplateSMD();
+  const template = '<img srcset="{{ small }} 1x, {{ large }} 2x, /img/{{ name }} {{ width }}w">';
+
+  assert.strictEqual(
+    engine.renderTemplateString(template, { small: '/a.png', large: '/b.png', name: 'c d.png', width: 480 }),
+    '<img srcset="/a.png 1x, /b.png 2x, /img/c%20d.png 480w">'
+  );
+  assert.strictEqual(
+    engine.renderTemplateString(template, { small: '/a.png', large: 'javascript:alert(1)', name: 'c.png', width: 480 }),
+    '<img srcset="/a.png 1x, about:invalid#unsafe-url 2x, /img/c.png 480w">'
+  );
+});
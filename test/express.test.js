@@ -0,0 +1,130 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TemplateSMD = require('../templateSMD.js');
+
+let views;
+
+/**
+ * A minimal stand-in for an Express app: it resolves views against its `views` setting and calls
+ * the registered engine the way `res.render` does.
+ */
+function createApp(engine, viewsFolder) {
+  const settings = { views: viewsFolder, 'view engine': 'html' };
+  const locals = { site: 'Demo' };
+  const engines = { '.html': engine };
+
+  return {
+    settings,
+    render(name, options, resLocals, callback) {
+      const file = path.resolve(settings.views, `${name}.${settings['view engine']}`);
+      engines[path.extname(file)](file, { settings, _locals: { ...locals, ...resLocals }, cache: false, ...options }, callback);
+    }
+  };
+}
+
+function render(app, name, options = {}, resLocals = {}) {
+  return new Promise((resolve, reject) => {
+    app.render(name, options, resLocals, (err, html) => (err ? reject(err) : resolve(html)));
+  });
+}
+
+before(() => {
+  views = fs.mkdtempSync(path.join(os.tmpdir(), 'templatesmd-express-'));
+  fs.mkdirSync(path.join(views, 'layouts'));
+  fs.mkdirSync(path.join(views, 'users'));
+  fs.writeFileSync(path.join(views, 'layouts', 'main.html'), '<title>{{ site }}</title>{{#block "content"}}{{/block}}');
+  fs.writeFileSync(path.join(views, 'users', 'profile.html'),
+    '{{#extends "layouts/main.html"}}{{#block "content"}}<p>{{ user.name }} ({{ role }})</p>{{/block}}');
+});
+
+after(() => {
+  fs.rmSync(views, { recursive: true, force: true });
+});
+
+test('renders views with app, response and render locals and layouts from the views folder', async () => {
+  const engine = new TemplateSMD();
+  const app = createApp(engine.express(), views);
+
+  const html = await render(app, 'users/profile', { user: { name: 'Octavio' } }, { role: 'admin' });
+
+  assert.strictEqual(html, '<title>Demo</title><p>Octavio (admin)</p>');
+});
+
+test('does not change the engine base folder', async () => {
+  const engine = new TemplateSMD();
+  const app = createApp(engine.express(), views);
+
+  await render(app, 'users/profile', { user: { name: 'Ana' } });
+
+  assert.strictEqual(engine.baseTemplateFolder, '');
+  await assert.rejects(engine.renderFile('users/profile', {}), { code: 'TEMPLATE_READ_FAILED' });
+});
+
+test('serves apps with different views folders from one engine', async () => {
+  const other = fs.mkdtempSync(path.join(os.tmpdir(), 'templatesmd-express-'));
+  try {
+    fs.mkdirSync(path.join(other, 'layouts'));
+    fs.mkdirSync(path.join(other, 'users'));
+    fs.writeFileSync(path.join(other, 'layouts', 'main.html'), '<h1>{{ site }}</h1>{{#block "content"}}{{/block}}');
+    fs.writeFileSync(path.join(other, 'users', 'profile.html'),
+      '{{#extends "layouts/main.html"}}{{#block "content"}}{{ user.name }}{{/block}}');
+
+    const engine = new TemplateSMD();
+    const first = createApp(engine.express(), views);
+    const second = createApp(engine.express(), other);
+
+    const [a, b] = await Promise.all([
+      render(first, 'users/profile', { user: { name: 'Ana' }, role: 'user' }),
+      render(second, 'users/profile', { user: { name: 'Ana' } })
+    ]);
+
+    assert.strictEqual(a, '<title>Demo</title><p>Ana (user)</p>');
+    assert.strictEqual(b, '<h1>Demo</h1>Ana');
+  } finally {
+    fs.rmSync(other, { recursive: true, force: true });
+  }
+});
+
+test('passes render errors to the callback', async () => {
+  const engine = new TemplateSMD();
+  const app = createApp(engine.express(), views);
+
+  await assert.rejects(render(app, 'users/missing'), { code: 'TEMPLATE_READ_FAILED' });
+});
+
+test('calls the callback outside the render promise', async () => {
+  const engine = new TemplateSMD();
+  const view = engine.express();
+  const file = path.join(views, 'users', 'profile.html');
+  const rejections = [];
+  const onRejection = reason => rejections.push(reason);
+  const calls = [];
+
+  process.on('unhandledRejection', onRejection);
+  const listeners = process.listeners('uncaughtException');
+  process.removeAllListeners('uncaughtException');
+  const thrown = new Promise(resolve => process.once('uncaughtException', resolve));
+
+  try {
+    view(file, { settings: { views }, user: { name: 'Ana' } }, (err, html) => {
+      calls.push([err, html]);
+      throw new Error('callback failed');
+    });
+
+    const error = await thrown;
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(error.message, 'callback failed');
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0][0], null);
+    assert.deepStrictEqual(rejections, []);
+  } finally {
+    process.off('unhandledRejection', onRejection);
+    listeners.forEach(listener => process.on('uncaughtException', listener));
+  }
+});
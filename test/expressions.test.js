@@ -0,0 +1,97 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+
+test('a placeholder default applies to null and undefined only', () => {
+  const engine = new TemplateSMD();
+  const template = '{{ count || "none" }}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { count: 0 }), '0');
+  assert.strictEqual(engine.renderTemplateString(template, { count: '' }), '');
+  assert.strictEqual(engine.renderTemplateString(template, { count: false }), 'false');
+  assert.strictEqual(engine.renderTemplateString(template, { count: null }), 'none');
+  assert.strictEqual(engine.renderTemplateString(template, {}), 'none');
+});
+
+test('|| is a logical or in conditions', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#if count || other}}yes{{else}}no{{/if}}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { count: 0, other: 0 }), 'no');
+  assert.strictEqual(engine.renderTemplateString(template, { count: 0, other: 2 }), 'yes');
+});
+
+test('&& binds tighter than ||, comparisons tighter than both, and parentheses group', () => {
+  const engine = new TemplateSMD();
+  const check = (expression, bindings) => engine.renderTemplateString(`{{#if ${expression}}}yes{{else}}no{{/if}}`, bindings);
+
+  assert.strictEqual(check('a || b && c', { a: 1, b: 0, c: 0 }), 'yes');
+  assert.strictEqual(check('(a || b) && c', { a: 1, b: 0, c: 0 }), 'no');
+  assert.strictEqual(check('count > 1 && count < 5', { count: 3 }), 'yes');
+  assert.strictEqual(check('!a || b', { a: 1, b: 0 }), 'no');
+  assert.strictEqual(check('!(a && b)', { a: 1, b: 0 }), 'yes');
+});
+
+test('comparisons are strict', () => {
+  const engine = new TemplateSMD();
+  const check = (expression, bindings) => engine.renderTemplateString(`{{#if ${expression}}}yes{{else}}no{{/if}}`, bindings);
+
+  assert.strictEqual(check('id == 1', { id: '1' }), 'no');
+  assert.strictEqual(check('id == "1"', { id: '1' }), 'yes');
+  assert.strictEqual(check('id != 1', { id: '1' }), 'yes');
+  assert.strictEqual(check('id === 1', { id: 1 }), 'yes');
+  assert.strictEqual(check('items.length >= 3', { items: [1, 2, 3] }), 'yes');
+  assert.strictEqual(check('name <= "b"', { name: 'a' }), 'yes');
+});
+
+test('string, number and keyword literals', () => {
+  const engine = new TemplateSMD();
+
+  assert.strictEqual(engine.renderTemplateString('{{ "double" }} {{ \'single\' }} {{ "a\\"b" }}', {}), 'double single a&quot;b');
+  assert.strictEqual(engine.renderTemplateString('{{ 42 }} {{ -1.5 }}', {}), '42 -1.5');
+  assert.strictEqual(engine.renderTemplateString('{{ true }} {{ false }} [{{ null }}]', {}), 'true false []');
+  assert.strictEqual(engine.renderTemplateString('{{#if value === null}}null{{/if}}', { value: null }), 'null');
+});
+
+test('filters take arguments and chain', () => {
+  const engine = new TemplateSMD();
+
+  assert.strictEqual(engine.renderTemplateString('{{ text | truncate:5,"..." }}', { text: '123456789' }), '12...');
+  assert.strictEqual(engine.renderTemplateString('{{ text | truncate:limit | upper }}', { text: 'abcdef', limit: 4 }), 'ABC…');
+  assert.strictEqual(engine.renderTemplateString('{{ items | join:" / " }}', { items: ['a', 'b'] }), 'a / b');
+});
+
+test('subexpressions call filters and can be compared or filtered', () => {
+  const engine = new TemplateSMD();
+  const bindings = { name: 'Ada', items: [{ price: 2 }, { price: 5 }] };
+
+  assert.strictEqual(engine.renderTemplateString('{{ (lower name) | upper }}', bindings), 'ADA');
+  assert.strictEqual(engine.renderTemplateString('{{ (sum items "price") }}', bindings), '7');
+  assert.strictEqual(engine.renderTemplateString('{{#if (sum items "price") > 5}}big{{/if}}', bindings), 'big');
+});
+
+test('nested blocks of the same type close on their own tags', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#if a}}{{#if b}}ab{{else}}a{{/if}}!{{else}}none{{/if}}|{{#each rows}}{{#each this}}{{ this }}{{/each}};{{/each}}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { a: true, b: false, rows: [[1, 2], [3]] }), 'a!|12;3;');
+});
+
+test('parse errors are TemplateErrors with a code, line and column', () => {
+  const strict = new TemplateSMD({ strict: true });
+  const parse = source => () => strict.renderTemplateString(source, {});
+
+  assert.throws(parse('<p>\n  {{ first second }}</p>'), { name: 'TemplateError', code: 'INVALID_EXPRESSION', line: 2, column: 3 });
+  assert.throws(parse('{{ 1 + 2 }}'), { name: 'TemplateError', code: 'INVALID_EXPRESSION', line: 1, column: 1 });
+  assert.throws(parse('x\n{{#if a}}\n{{#each b}}'), { name: 'TemplateError', code: 'UNCLOSED_BLOCK', line: 3, column: 1 });
+  assert.throws(parse('ok\n {{/if}}'), { name: 'TemplateError', code: 'UNEXPECTED_CLOSE', line: 2, column: 2 });
+  assert.throws(parse('{{ "text" | missing }}'), { name: 'TemplateError', code: 'UNKNOWN_FILTER', line: 1, column: 1 });
+
+  const warnings = [];
+  const lenient = new TemplateSMD({ onWarning: warning => warnings.push(warning) });
+  assert.strictEqual(lenient.renderTemplateString('a\n  {{ first second }}', {}), 'a\n  {{ first second }}');
+  assert.ok(warnings[0] instanceof TemplateSMD.TemplateError);
+  assert.deepStrictEqual([warnings[0].code, warnings[0].line, warnings[0].column], ['INVALID_EXPRESSION', 2, 3]);
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+
+test('built-in filters format money, numbers, dates and words', () => {
+  const engine = new TemplateSMD();
+  const bindings = { price: 1234.5, day: new Date(2024, 0, 31), count: 2, empty: '' };
+
+  assert.strictEqual(engine.renderTemplateString('{{ price | currency:"EUR","en-US" }}', bindings), '€1,234.50');
+  assert.strictEqual(engine.renderTemplateString('{{ price | currency:"EUR","de-DE" }}', bindings), '1.234,50 €');
+  assert.strictEqual(engine.renderTemplateString('{{ price | number:1,"en-US" }}', bindings), '1,234.5');
+  assert.strictEqual(engine.renderTemplateString('{{ day | date:"YYYY-MM-DD" }}', bindings), '2024-01-31');
+  assert.strictEqual(engine.renderTemplateString('{{ count }} {{ count | pluralize:"item" }}', bindings), '2 items');
+  assert.strictEqual(engine.renderTemplateString('{{ empty | default:"n/a" }}', bindings), 'n/a');
+});
+
+test('filters chain left to right and their result is escaped', () => {
+  const engine = new TemplateSMD();
+  engine.registerFilter('exclaim', value => `${value}!`);
+
+  assert.strictEqual(engine.renderTemplateString('{{ name | exclaim | upper }}', { name: '<b>hi' }), '&lt;B&gt;HI!');
+  assert.strictEqual(engine.renderTemplateString('{{ data | json }}', { data: { tag: '<' } }), '{&quot;tag&quot;:&quot;&lt;&quot;}');
+});
+
+test('filters work in raw output and filters marked safe are not escaped', () => {
+  const engine = new TemplateSMD();
+  engine.registerFilter('italic', value => `<i>${value}</i>`);
+  engine.registerFilter('bold', value => `<b>${value}</b>`, { safe: true });
+
+  assert.strictEqual(engine.renderTemplateString('{{ name | italic }}', { name: 'Ada' }), '&lt;i&gt;Ada&lt;/i&gt;');
+  assert.strictEqual(engine.renderTemplateString('{{{ name | italic }}}', { name: 'Ada' }), '<i>Ada</i>');
+  assert.strictEqual(engine.renderTemplateString('{{ name | bold }}', { name: 'Ada' }), '<b>Ada</b>');
+  assert.strictEqual(engine.renderTemplateString('{{ text | nl2br }}', { text: '<a>\nb' }), '&lt;a&gt;<br>b');
+});
+
+test('registerFilter rejects invalid names and non-functions', () => {
+  const engine = new TemplateSMD();
+
+  assert.throws(() => engine.registerFilter('not-valid', value => value), /valid identifier/);
+  assert.throws(() => engine.registerFilter('fine', 'upper'), /must be a function/);
+});
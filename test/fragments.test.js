@@ -0,0 +1,44 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+const { MemoryLoader } = TemplateSMD;
+
+function createEngine() {
+  return new TemplateSMD({
+    loader: new MemoryLoader({
+      'users.html': [
+        '<h1>Users</h1>',
+        '{{#fragment "rows"}}<tbody id="user-rows">{{#each users}}<tr><td>{{ name }}</td></tr>{{/each}}</tbody>{{/fragment}}',
+        '{{#fragment "count"}}<span>{{ users.length }}</span>{{/fragment}}',
+        '{{#fragment "note"}}{{ users.length }} users{{/fragment}}'
+      ].join('')
+    })
+  });
+}
+
+const users = [{ name: 'Ana' }, { name: 'Bo' }];
+
+test('renderFragment renders one fragment with the page bindings', async () => {
+  assert.strictEqual(
+    await createEngine().renderFragment('users.html', 'rows', { users }),
+    '<tbody id="user-rows"><tr><td>Ana</td></tr><tr><td>Bo</td></tr></tbody>'
+  );
+});
+
+test('out-of-band fragments keep their id or get the fragment name as id', async () => {
+  const html = await createEngine().renderFragments('users.html', ['rows', 'count', 'note'], { users }, { oob: true });
+
+  assert.strictEqual(html, [
+    '<tbody hx-swap-oob="true" id="user-rows"><tr><td>Ana</td></tr><tr><td>Bo</td></tr></tbody>',
+    '<span id="count" hx-swap-oob="true">2</span>',
+    '<div id="note" hx-swap-oob="true">2 users</div>'
+  ].join(''));
+});
+
+test('an out-of-band swap that names its target adds no id', async () => {
+  const html = await createEngine().renderFragments('users.html', ['count'], { users }, { oob: 'innerHTML:#total' });
+
+  assert.strictEqual(html, '<span hx-swap-oob="innerHTML:#total">2</span>');
+});
@@ -0,0 +1,20 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+
+test('registerCatalog rejects locale codes Intl does not accept', () => {
+  const engine = new TemplateSMD();
+
+  assert.throws(() => engine.registerCatalog('en-12', { hello: 'Hi' }), /not a valid locale code/);
+  assert.throws(() => engine.registerCatalog('../secrets', { hello: 'Hi' }), /not a valid locale code/);
+});
+
+test('plural forms use the rules of the catalog locale', () => {
+  const engine = new TemplateSMD({ locale: 'pt_BR' });
+  engine.registerCatalog('pt_BR', { items: { one: '{count} item', other: '{count} itens' } });
+
+  assert.strictEqual(engine.renderTemplateString('{{t "items" count=1}}', {}), '1 item');
+  assert.strictEqual(engine.renderTemplateString('{{t "items" count=1500}}', {}), '1.500 itens');
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TemplateSMD = require('../templateSMD.js');
+const { MemoryLoader } = TemplateSMD;
+
+function createEngine() {
+  return new TemplateSMD({
+    loader: new MemoryLoader({
+      'layouts/main.html': '<title>{{#block "title"}}Site{{/block}}</title><main>{{#block "content"}}Default{{/block}}</main><footer>{{#block "footer"}}(c){{/block}}</footer>',
+      'layouts/docs.html': '{{#extends "layouts/main.html"}}{{#block "title"}}Docs - {{ super }}{{/block}}{{#block "content"}}<nav></nav>{{#block "body"}}{{/block}}{{/block}}',
+      'page.html': '{{#extends "layouts/docs.html"}}{{#block "title"}}{{ heading }} | {{ super }}{{/block}}{{#block "body"}}<p>{{ heading }}</p>{{/block}}',
+      'plain.html': '{{#extends "layouts/main.html"}}',
+      'broken.html': '{{#extends "layouts/missing.html"}}'
+    })
+  });
+}
+
+test('a layout keeps its default block content where a page does not override it', async () => {
+  assert.strictEqual(await createEngine().renderFile('plain.html', {}), '<title>Site</title><main>Default</main><footer>(c)</footer>');
+});
+
+test('pages override blocks through several layouts and {{ super }} reaches the parent definition', async () => {
+  const html = await createEngine().renderFile('page.html', { heading: 'Intro' });
+
+  assert.strictEqual(html, '<title>Intro | Docs - Site</title><main><nav></nav><p>Intro</p></main><footer>(c)</footer>');
+});
+
+test('a missing layout is an error naming it', async () => {
+  await assert.rejects(createEngine().renderFile('broken.html', {}), { name: 'TemplateError', message: /layouts\/missing\.html/ });
+});
+
+test('layouts are read from the base folder and recompiled when they change', async () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'templatesmd-layouts-'));
+  try {
+    fs.mkdirSync(path.join(folder, 'layouts'));
+    fs.writeFileSync(path.join(folder, 'layouts', 'main.html'), '<main>{{#block "content"}}{{/block}}</main>');
+    fs.writeFileSync(path.join(folder, 'home.html'), '{{#extends "layouts/main.html"}}{{#block "content"}}Home{{/block}}');
+    const engine = new TemplateSMD({ baseFolder: folder });
+
+    assert.strictEqual(await engine.renderFile('home.html', {}), '<main>Home</main>');
+
+    const layout = path.join(folder, 'layouts', 'main.html');
+    fs.writeFileSync(layout, '<div>{{#block "content"}}{{/block}}</div>');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(layout, later, later);
+    assert.strictEqual(await engine.renderFile('home.html', {}), '<div>Home</div>');
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+const { MemoryLoader, MultiLoader } = TemplateSMD;
+
+class CountingLoader extends MemoryLoader {
+  resolved = [];
+
+  resolve(name, context) {
+    this.resolved.push(name);
+    return super.resolve(name, context);
+  }
+}
+
+test('MultiLoader takes each template, layout and partial from the first loader that has it', async () => {
+  const theme = new MemoryLoader({ 'home.html': 'Theme {{> nav }}', 'partials/nav.html': '<nav>theme</nav>' });
+  const base = new MemoryLoader({
+    'home.html': 'Base',
+    'about.html': '{{#extends "layouts/main.html"}}{{#block "content"}}About {{> nav }}{{/block}}',
+    'layouts/main.html': '<main>{{#block "content"}}{{/block}}</main>',
+    'partials/nav.html': '<nav>base</nav>'
+  });
+  const engine = new TemplateSMD({ loader: new MultiLoader([theme, base]) });
+
+  assert.strictEqual(await engine.renderFile('home.html', {}), 'Theme <nav>theme</nav>');
+  assert.strictEqual(await engine.renderFile('about.html', {}), '<main>About <nav>theme</nav></main>');
+});
+
+test('a custom loader is asked for a new version before a cached template is reused', async () => {
+  const rows = { home: { source: 'v1', updatedAt: 1 } };
+  const engine = new TemplateSMD({
+    loader: {
+      resolve: async name => (rows[name] ? `db:${name}` : null),
+      load: async id => rows[id.slice(3)].source,
+      getVersion: async id => rows[id.slice(3)].updatedAt
+    }
+  });
+
+  assert.strictEqual(await engine.renderFile('home', {}), 'v1');
+  rows.home.source = 'v2';
+  assert.strictEqual(await engine.renderFile('home', {}), 'v1');
+  rows.home.updatedAt = 2;
+  assert.strictEqual(await engine.renderFile('home', {}), 'v2');
+  await assert.rejects(engine.renderFile('missing', {}), { code: 'TEMPLATE_READ_FAILED' });
+});
+
+test('names without an extension try each configured extension, and renderString never loads a file', async () => {
+  const engine = new TemplateSMD({
+    extensions: ['.html', '.txt'],
+    loader: new MemoryLoader({ 'emails/welcome.txt': 'Hi {{ name }}' }, { extensions: ['.html', '.txt'] })
+  });
+
+  assert.strictEqual(await engine.renderFile('emails/welcome', { name: 'Ada' }), 'Hi Ada');
+  assert.strictEqual(await engine.renderString('emails/welcome.txt', {}), 'emails/welcome.txt');
+});
+
+test('remembered template names are capped, forgetting the least recently used', async () => {
+  const templates = {};
+  for (let index = 0; index <= 1000; index++) {
+    templates[`page${index}.html`] = `<p>${index}</p>`;
+  }
+  const loader = new CountingLoader(templates);
+  const engine = new TemplateSMD({ loader, checkMtime: false });
+
+  await engine.renderFile('page0.html', {});
+  await engine.renderFile('page1.html', {});
+  loader.resolved = [];
+  await engine.renderFile('page0.html', {});
+  assert.deepStrictEqual(loader.resolved, [], 'a remembered name is not resolved again');
+
+  for (let index = 2; index <= 1000; index++) {
+    await engine.renderFile(`page${index}.html`, {});
+  }
+  loader.resolved = [];
+  await engine.renderFile('page0.html', {});
+  await engine.renderFile('page1.html', {});
+  assert.deepStrictEqual(loader.resolved, ['page1.html'], 'only the least recently used name was forgotten');
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TemplateSMD = require('../templateSMD.js');
+
+let folder;
+
+before(() => {
+  folder = fs.mkdtempSync(path.join(os.tmpdir(), 'templatesmd-partials-'));
+  fs.mkdirSync(path.join(folder, 'partials', 'forms'), { recursive: true });
+  fs.writeFileSync(path.join(folder, 'partials', 'forms', 'input.html'), '<input name="{{ field }}">');
+  fs.writeFileSync(path.join(folder, 'partials', 'header.html'), '<h1>{{ title }}</h1>');
+  fs.writeFileSync(path.join(folder, 'form.html'), '{{> header }}<form>{{> forms/input }}</form>');
+  fs.writeFileSync(path.join(folder, 'missing.html'), '[{{> forms/missing }}]');
+});
+
+after(() => {
+  fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('partials in subfolders of the partials folder load on first use', async () => {
+  const engine = new TemplateSMD({ baseFolder: folder, partialsFolder: 'partials' });
+
+  assert.strictEqual(await engine.renderFile('form.html', { title: 'Sign up', field: 'email' }), '<h1>Sign up</h1><form><input name="email"></form>');
+});
+
+test('a lazily loaded partial is reloaded when its file changes', async () => {
+  const engine = new TemplateSMD({ baseFolder: folder, partialsFolder: 'partials' });
+  const partial = path.join(folder, 'partials', 'header.html');
+
+  assert.strictEqual(await engine.renderFile('form.html', { title: 'A', field: 'x' }), '<h1>A</h1><form><input name="x"></form>');
+  try {
+    fs.writeFileSync(partial, '<h2>{{ title }}</h2>');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(partial, later, later);
+    assert.strictEqual(await engine.renderFile('form.html', { title: 'B', field: 'x' }), '<h2>B</h2><form><input name="x"></form>');
+  } finally {
+    fs.writeFileSync(partial, '<h1>{{ title }}</h1>');
+  }
+});
+
+test('loadPartialsFromFolder registers the whole tree for synchronous renders', async () => {
+  const engine = new TemplateSMD({ baseFolder: folder, partialsFolder: 'partials' });
+
+  const names = await engine.loadPartialsFromFolder();
+
+  assert.deepStrictEqual(names.slice().sort(), ['forms/input', 'header']);
+  assert.strictEqual(engine.renderTemplateString('{{> forms/input }}', { field: 'q' }), '<input name="q">');
+});
+
+test('a missing partial is reported as a warning, not written to the console', async () => {
+  const warnings = [];
+  const engine = new TemplateSMD({ baseFolder: folder, partialsFolder: 'partials', onWarning: warning => warnings.push(warning) });
+
+  assert.strictEqual(await engine.renderFile('missing.html', {}), '[]');
+  assert.deepStrictEqual(warnings.map(warning => warning.code), ['MISSING_PARTIAL']);
+});
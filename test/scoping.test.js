@@ -0,0 +1,35 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+
+const ORDER = { name: 'Shop', order: { customer: { name: 'Ada', address: { city: 'Oslo' } } } };
+
+test('{{#with}} narrows the scope, names the value and keeps ../ to the outer scope', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#with order.customer as |c|}}{{ c.name }} {{ name }} {{ ../name }} {{ address.city }}{{/with}}';
+
+  assert.strictEqual(engine.renderTemplateString(template, ORDER), 'Ada Ada Shop Oslo');
+});
+
+test('{{#with}} renders its {{else}} in the enclosing scope when the value is missing', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#with order.customer}}{{ name }}{{else}}No customer at {{ name }}{{/with}}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { name: 'Shop', order: {} }), 'No customer at Shop');
+});
+
+test('{{#let}} names values, subexpressions included, for its block only', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#let total=(sum items "price") label="Total"}}{{ label }}: {{ total }}{{#each items}} {{ price }}/{{ total }}{{/each}}{{/let}}[{{ total }}]';
+
+  assert.strictEqual(engine.renderTemplateString(template, { items: [{ price: 2 }, { price: 3 }] }), 'Total: 5 2/5 3/5[]');
+});
+
+test('inner {{#let}} names shadow outer ones and the bindings until their block ends', () => {
+  const engine = new TemplateSMD();
+  const template = '{{#let name="inner"}}{{ name }}-{{#let name="deeper"}}{{ name }}{{/let}}-{{ name }}{{/let}}-{{ name }}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { name: 'outer' }), 'inner-deeper-inner-outer');
+});
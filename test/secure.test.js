@@ -0,0 +1,127 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TemplateSMD = require('../templateSMD.js');
+
+function withSecret() {
+  const counter = { calls: 0 };
+  const settings = { theme: 'dark' };
+  Object.defineProperty(settings, 'token', {
+    enumerable: true,
+    get() {
+      counter.calls++;
+      return 'secret';
+    }
+  });
+  return { settings, counter };
+}
+
+test('{{#each}} over an object does not run getters in secure mode', () => {
+  const engine = new TemplateSMD({ secure: true });
+  let called = false;
+  const settings = { theme: 'dark' };
+  Object.defineProperty(settings, 'token', {
+    enumerable: true,
+    get() {
+      called = true;
+      return 'secret';
+    }
+  });
+
+  assert.throws(
+    () => engine.renderTemplateString('{{#each settings as |value key|}}{{ key }}={{ value }};{{/each}}', { settings }),
+    { code: 'FORBIDDEN_PROPERTY', line: 1 }
+  );
+  assert.strictEqual(called, false);
+});
+
+test('{{#each}} over a plain object works in secure mode', () => {
+  const engine = new TemplateSMD({ secure: true });
+  const html = engine.renderTemplateString('{{#each settings as |value key|}}{{ key }}={{ value }};{{/each}}', {
+    settings: { theme: 'dark', size: 2 }
+  });
+
+  assert.strictEqual(html, 'theme=dark;size=2;');
+});
+
+for (const template of ['{{ settings }}', '{{ settings | json }}', '{{ settings | join }}']) {
+  test(`${template} does not run getters in secure mode`, () => {
+    const engine = new TemplateSMD({ secure: true });
+    const { settings, counter } = withSecret();
+
+    assert.throws(() => engine.renderTemplateString(template, { settings }), { code: 'FORBIDDEN_PROPERTY', line: 1, column: 1 });
+    assert.strictEqual(counter.calls, 0);
+  });
+}
+
+test('objects are still written out from their data properties in secure mode', () => {
+  const engine = new TemplateSMD({ secure: true });
+  const order = { id: 7, items: [{ sku: 'a' }], placed: new Date(0) };
+
+  assert.strictEqual(
+    engine.renderTemplateString('{{{ order }}}|{{ order.items | join }}', { order }),
+    '{"id":7,"items":[{"sku":"a"}],"placed":"1970-01-01T00:00:00.000Z"}|{&quot;sku&quot;:&quot;a&quot;}'
+  );
+});
+
+test('prototype properties cannot be read in secure mode', () => {
+  const engine = new TemplateSMD({ secure: true });
+
+  for (const template of ['{{ user.constructor }}', '{{ __proto__ }}', '{{ user.__proto__.polluted }}', '{{ list.map }}']) {
+    assert.throws(() => engine.renderTemplateString(template, { user: { name: 'Ana' }, list: [] }), { code: 'FORBIDDEN_PROPERTY' }, template);
+  }
+  assert.strictEqual(engine.renderTemplateString('{{ user.name }}', { user: { name: 'Ana' } }), 'Ana');
+});
+
+test('template files must stay inside the template folders in secure mode', async t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'templatesmd-secure-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, 'views'));
+  fs.writeFileSync(path.join(root, 'outside.html'), 'outside');
+  fs.writeFileSync(path.join(root, 'views', 'page.html'), 'page');
+  fs.symlinkSync(path.join(root, 'outside.html'), path.join(root, 'views', 'link.html'));
+
+  const engine = new TemplateSMD({ baseFolder: path.join(root, 'views'), secure: true });
+
+  assert.strictEqual(await engine.renderFile('page.html', {}), 'page');
+  await assert.rejects(engine.renderFile('../outside.html', {}), { code: 'PATH_OUTSIDE_ROOT' });
+  await assert.rejects(engine.renderFile(path.join(root, 'outside.html'), {}), { code: 'PATH_OUTSIDE_ROOT' });
+  await assert.rejects(engine.renderFile('link.html', {}), { code: 'PATH_OUTSIDE_ROOT' });
+});
+
+test('maxPartialDepth stops a partial that includes itself', () => {
+  const engine = new TemplateSMD({ limits: { maxPartialDepth: 5 } });
+  engine.registerPartial('loop', 'x{{> loop}}');
+
+  assert.throws(() => engine.renderTemplateString('{{> loop}}', {}), { code: 'PARTIAL_DEPTH_EXCEEDED' });
+});
+
+test('maxOutputSize stops a render that writes too much, even without strict mode', () => {
+  const engine = new TemplateSMD({ limits: { maxOutputSize: 10 } });
+
+  assert.strictEqual(engine.renderTemplateString('{{#each items}}{{ this }}{{/each}}', { items: ['ab', 'cd'] }), 'abcd');
+  assert.throws(
+    () => engine.renderTemplateString('{{#each items}}{{ this }}{{/each}}', { items: Array(20).fill('ab') }),
+    { code: 'OUTPUT_LIMIT_EXCEEDED' }
+  );
+});
+
+test('maxRenderTime stops a render that takes too long', () => {
+  const engine = new TemplateSMD({ limits: { maxRenderTime: 20 } });
+  engine.registerFilter('slow', value => {
+    const until = Date.now() + 5;
+    while (Date.now() < until) {
+      // Busy wait, like an expensive computation.
+    }
+    return value;
+  });
+
+  assert.throws(
+    () => engine.renderTemplateString('{{#each items}}{{ this | slow }}{{/each}}', { items: Array(50).fill('a') }),
+    { code: 'RENDER_TIMEOUT' }
+  );
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+const { MemoryLoader } = TemplateSMD;
+
+function createEngine() {
+  return new TemplateSMD({
+    loader: new MemoryLoader({
+      'layouts/base.html': '<html><body>{{#block "content"}}<p>Default</p>{{/block}}</body></html>',
+      'list.html': '{{#extends "layouts/base.html"}}{{#block "content"}}{{ super }}<ul>{{#each items}}<li>{{ this }}</li>{{/each}}</ul>{{/block}}',
+      'plain.html': '<ul>{{#each items as |item|}}{{#if @first}}<li class="first">{{else}}<li>{{/if}}{{ item }}</li>{{/each}}</ul>'
+    })
+  });
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(String(chunk));
+  }
+  return chunks;
+}
+
+test('a streamed layout block is written one {{#each}} item at a time', async () => {
+  const engine = createEngine();
+  const chunks = await collect(engine.renderToStream('list.html', { items: ['a', 'b', 'c'] }));
+
+  assert.strictEqual(chunks.join(''), await engine.renderFile('list.html', { items: ['a', 'b', 'c'] }));
+  assert.deepStrictEqual(chunks.filter(chunk => chunk.includes('<li>')), ['<li>a</li>', '<li>b</li>', '<li>c</li>']);
+});
+
+test('a streamed top-level {{#each}} is split into chunks', async () => {
+  const engine = createEngine();
+  const chunks = await collect(engine.renderToStream('plain.html', { items: ['a', 'b'] }));
+
+  assert.deepStrictEqual(chunks, ['<ul>', '<li class="first">a</li>', '<li>b</li>', '</ul>']);
+});
+
+test('the next item is not rendered before the previous chunk is read', async () => {
+  const rendered = [];
+  const engine = createEngine();
+  engine.registerFilter('track', value => {
+    rendered.push(value);
+    return value;
+  });
+  engine.loader.set('tracked.html', '{{#each items}}<li>{{ this | track }}</li>{{/each}}');
+
+  const iterator = engine.renderToStream('tracked.html', { items: ['a', 'b', 'c'] })[Symbol.asyncIterator]();
+  assert.strictEqual(String((await iterator.next()).value), '<li>a</li>');
+  assert.ok(rendered.length < 3, `rendered ${rendered.join(', ')} ahead of the reader`);
+  await iterator.return();
+});
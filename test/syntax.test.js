@@ -0,0 +1,37 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemplateSMD = require('../templateSMD.js');
+
+test('comments are stripped, and long comments may contain closing braces', () => {
+  const engine = new TemplateSMD();
+
+  assert.strictEqual(engine.renderTemplateString('a{{! note }}b{{!-- a }} inside --}}c', {}), 'abc');
+});
+
+test('~ trims the whitespace on its side of a tag', () => {
+  const engine = new TemplateSMD();
+  const template = '<ul>\n  {{~#each items~}}\n  <li>{{ this }}</li>\n  {{~/each~}}\n</ul>';
+
+  assert.strictEqual(engine.renderTemplateString(template, { items: [1, 2] }), '<ul><li>1</li><li>2</li></ul>');
+  assert.strictEqual(engine.renderTemplateString('a  {{~ name }}  b', { name: 'N' }), 'aN  b');
+  assert.strictEqual(engine.renderTemplateString('a  {{ name ~}}  b', { name: 'N' }), 'a  Nb');
+});
+
+test('raw blocks are emitted untouched', () => {
+  const engine = new TemplateSMD();
+  const template = '{{{{raw}}}}<p x-text="{{ name }}">{{#if open}}</p>{{{{/raw}}}} {{ name }}';
+
+  assert.strictEqual(engine.renderTemplateString(template, { name: 'Ada' }), '<p x-text="{{ name }}">{{#if open}}</p> Ada');
+});
+
+test('custom delimiters leave {{ }} to client-side code', () => {
+  const engine = new TemplateSMD({ delimiters: ['[[', ']]'] });
+  const template = '<p x-text="{{ message }}">[[ title ]]</p>[[#each items]]<i>[[ this ]]</i>[[/each]][[! note ]][[[ html ]]]';
+
+  assert.strictEqual(
+    engine.renderTemplateString(template, { title: 'Hi', items: [1, 2], html: '<b>x</b>' }),
+    '<p x-text="{{ message }}">Hi</p><i>1</i><i>2</i><b>x</b>'
+  );
+});